@@ -3,16 +3,44 @@ const API_BASE = '/api';
 
 // State
 let emails = [];
+let emailTotal = 0;
+let nextCursor = null;
 let errors = [];
 let config = {};
+let globalConfig = {};
+let inboxes = [];
+let selectedInbox = localStorage.getItem('selectedInbox') || '';
 let selectedEmailId = null;
+let selectedEmail = null;
 let viewMode = 'html';
+// HTML preview options (device width, colour scheme, image blocking), kept across reloads
+let preview = { width: 'desktop', scheme: 'light', blockImages: false, ...JSON.parse(localStorage.getItem('preview') || '{}') };
+let eventSource = null;
+let pollTimer = null;
+let searchTimer = null;
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_ERRORS = 50;
+const PAGE_SIZE = 50;
+// Most emails the list API returns per request
+const MAX_PAGE_SIZE = 500;
+// Preview widths in CSS pixels (iPhone, iPad portrait); desktop uses the whole pane
+const PREVIEW_WIDTHS = { mobile: 375, tablet: 768, desktop: null };
 
 // DOM Elements
 const elements = {
   emailCount: document.getElementById('emailCount'),
   errorCount: document.getElementById('errorCount'),
   configPanel: document.getElementById('configPanel'),
+  toggleMetrics: document.getElementById('toggleMetrics'),
+  metricsPanel: document.getElementById('metricsPanel'),
+  metricsSummary: document.getElementById('metricsSummary'),
+  metricsThroughput: document.getElementById('metricsThroughput'),
+  metricsLatency: document.getElementById('metricsLatency'),
+  metricsSizes: document.getElementById('metricsSizes'),
+  metricsSenders: document.getElementById('metricsSenders'),
+  metricsRecipients: document.getElementById('metricsRecipients'),
+  resetMetrics: document.getElementById('resetMetrics'),
   toggleConfig: document.getElementById('toggleConfig'),
   emailItems: document.getElementById('emailItems'),
   emptyState: document.getElementById('emptyState'),
@@ -22,19 +50,44 @@ const elements = {
   emailFrom: document.getElementById('emailFrom'),
   emailTo: document.getElementById('emailTo'),
   emailReceived: document.getElementById('emailReceived'),
+  emailTls: document.getElementById('emailTls'),
+  emailSpamScore: document.getElementById('emailSpamScore'),
+  emailAuthResults: document.getElementById('emailAuthResults'),
+  emailUserRow: document.getElementById('emailUserRow'),
+  emailRelayRow: document.getElementById('emailRelayRow'),
+  emailRelays: document.getElementById('emailRelays'),
+  emailUser: document.getElementById('emailUser'),
+  emailBody: document.getElementById('emailBody'),
   emailBodyFrame: document.getElementById('emailBodyFrame'),
+  previewControls: document.getElementById('previewControls'),
+  previewBlockImages: document.getElementById('previewBlockImages'),
   emailBodyText: document.getElementById('emailBodyText'),
   emailAttachments: document.getElementById('emailAttachments'),
   attachmentList: document.getElementById('attachmentList'),
+  emailInlineParts: document.getElementById('emailInlineParts'),
+  inlinePartList: document.getElementById('inlinePartList'),
+  emailCidWarning: document.getElementById('emailCidWarning'),
   searchInput: document.getElementById('searchInput'),
   clearAll: document.getElementById('clearAll'),
+  exportEmails: document.getElementById('exportEmails'),
+  importEmails: document.getElementById('importEmails'),
+  importFile: document.getElementById('importFile'),
+  inboxSelect: document.getElementById('inboxSelect'),
   errorBanner: document.getElementById('errorBanner'),
   errorMessage: document.getElementById('errorMessage'),
   clearErrors: document.getElementById('clearErrors'),
   saveConfig: document.getElementById('saveConfig'),
   viewHtml: document.getElementById('viewHtml'),
+  viewSource: document.getElementById('viewSource'),
+  viewHeaders: document.getElementById('viewHeaders'),
+  viewStructure: document.getElementById('viewStructure'),
+  viewChecks: document.getElementById('viewChecks'),
+  viewSpam: document.getElementById('viewSpam'),
+  viewTimeline: document.getElementById('viewTimeline'),
+  emailInspect: document.getElementById('emailInspect'),
   viewText: document.getElementById('viewText'),
   deleteEmail: document.getElementById('deleteEmail'),
+  releaseEmail: document.getElementById('releaseEmail'),
   
   // Config inputs
   rateLimitEnabled: document.getElementById('rateLimitEnabled'),
@@ -42,13 +95,82 @@ const elements = {
   latencyEnabled: document.getElementById('latencyEnabled'),
   minLatency: document.getElementById('minLatency'),
   maxLatency: document.getElementById('maxLatency'),
+  latencyDistribution: document.getElementById('latencyDistribution'),
+  meanLatency: document.getElementById('meanLatency'),
+  stdDevLatency: document.getElementById('stdDevLatency'),
+  spikeLatency: document.getElementById('spikeLatency'),
+  spikeRate: document.getElementById('spikeRate'),
+  trickleRate: document.getElementById('trickleRate'),
+  latencyScenario: document.getElementById('latencyScenario'),
+  retentionMaxCount: document.getElementById('retentionMaxCount'),
+  retentionMaxAge: document.getElementById('retentionMaxAge'),
+  retentionMaxSize: document.getElementById('retentionMaxSize'),
+  tlsRequired: document.getElementById('tlsRequired'),
+  tlsListeners: document.getElementById('tlsListeners'),
+  relayHost: document.getElementById('relayHost'),
+  relayPort: document.getElementById('relayPort'),
+  relaySecure: document.getElementById('relaySecure'),
+  relayAllowInvalid: document.getElementById('relayAllowInvalid'),
+  relayUsername: document.getElementById('relayUsername'),
+  relayPassword: document.getElementById('relayPassword'),
+  relayEnvelopeFrom: document.getElementById('relayEnvelopeFrom'),
+  relayAuto: document.getElementById('relayAuto'),
+  relayAllowList: document.getElementById('relayAllowList'),
+  policyMaxSize: document.getElementById('policyMaxSize'),
+  policyMaxRecipients: document.getElementById('policyMaxRecipients'),
+  policyAllowedDomains: document.getElementById('policyAllowedDomains'),
+  policyDeniedDomains: document.getElementById('policyDeniedDomains'),
+  policyRejectMalformed: document.getElementById('policyRejectMalformed'),
+  authMode: document.getElementById('authMode'),
+  authUsers: document.getElementById('authUsers'),
+  addAuthUser: document.getElementById('addAuthUser'),
+  dkimKeys: document.getElementById('dkimKeys'),
+  addDkimKey: document.getElementById('addDkimKey'),
+  dnsRecords: document.getElementById('dnsRecords'),
+  addDnsRecord: document.getElementById('addDnsRecord'),
+  rateLimitRules: document.getElementById('rateLimitRules'),
+  addRateLimit: document.getElementById('addRateLimit'),
+  faultRules: document.getElementById('faultRules'),
+  addFaultRule: document.getElementById('addFaultRule'),
+  bounceRules: document.getElementById('bounceRules'),
+  addBounceRule: document.getElementById('addBounceRule'),
 };
 
 // API Functions
+
+// Mailbox endpoints are scoped to the selected inbox (or all inboxes)
+function mailboxUrl(path) {
+  if (!selectedInbox) return `${API_BASE}${path}`;
+  return `${API_BASE}/inboxes/${encodeURIComponent(selectedInbox)}${path}`;
+}
+
+function emailListUrl(params) {
+  const query = new URLSearchParams(params);
+  const searchTerm = elements.searchInput.value.trim();
+  if (searchTerm) query.set('q', searchTerm);
+  return mailboxUrl(`/emails?${query}`);
+}
+
 async function fetchEmails() {
   try {
-    const response = await fetch(`${API_BASE}/emails`);
-    emails = await response.json();
+    // Refresh everything already loaded, not just the first page, in pages
+    // the API accepts
+    const wanted = Math.max(PAGE_SIZE, emails.length);
+    const loaded = [];
+    let cursor = null;
+    let total = 0;
+    do {
+      const limit = Math.min(wanted - loaded.length, MAX_PAGE_SIZE);
+      const response = await fetch(emailListUrl(cursor ? { limit, cursor } : { limit }));
+      if (!response.ok) throw new Error((await response.json()).error);
+      loaded.push(...await response.json());
+      if (!total) total = parseInt(response.headers.get('X-Total-Count'));
+      cursor = response.headers.get('X-Next-Cursor');
+    } while (cursor && loaded.length < wanted);
+    
+    emails = loaded;
+    emailTotal = total || emails.length;
+    nextCursor = cursor;
     renderEmailList();
     updateStats();
   } catch (error) {
@@ -56,9 +178,29 @@ async function fetchEmails() {
   }
 }
 
+async function loadMoreEmails() {
+  if (!nextCursor) return;
+  
+  try {
+    const response = await fetch(emailListUrl({ limit: PAGE_SIZE, cursor: nextCursor }));
+    const page = await response.json();
+    emails = [...emails, ...page.filter(e => !emails.some(existing => existing.id === e.id))];
+    nextCursor = response.headers.get('X-Next-Cursor');
+    renderEmailList();
+  } catch (error) {
+    console.error('Failed to load more emails:', error);
+  }
+}
+
+async function fetchEmailDetail(id) {
+  const response = await fetch(mailboxUrl(`/emails/${id}`));
+  if (!response.ok) return null;
+  return response.json();
+}
+
 async function fetchErrors() {
   try {
-    const response = await fetch(`${API_BASE}/errors`);
+    const response = await fetch(mailboxUrl('/errors'));
     errors = await response.json();
     updateErrorBanner();
     updateStats();
@@ -67,10 +209,27 @@ async function fetchErrors() {
   }
 }
 
+async function fetchInboxes() {
+  try {
+    const response = await fetch(`${API_BASE}/inboxes`);
+    inboxes = await response.json();
+    renderInboxSelect();
+  } catch (error) {
+    console.error('Failed to fetch inboxes:', error);
+  }
+}
+
 async function fetchConfig() {
   try {
     const response = await fetch(`${API_BASE}/config`);
-    config = await response.json();
+    globalConfig = await response.json();
+    config = globalConfig;
+    
+    // Show the selected inbox's effective rate limit/latency settings
+    if (selectedInbox) {
+      const inboxResponse = await fetch(mailboxUrl('/config'));
+      config = { ...globalConfig, ...(await inboxResponse.json()) };
+    }
     updateConfigUI();
   } catch (error) {
     console.error('Failed to fetch config:', error);
@@ -79,82 +238,331 @@ async function fetchConfig() {
 
 async function saveConfig() {
   try {
-    const newConfig = {
+    const inboxConfig = {
       rateLimit: {
         enabled: elements.rateLimitEnabled.checked,
         maxPerSecond: parseInt(elements.maxPerSecond.value) || 1,
+        limits: readRateLimits(),
       },
       latency: {
         enabled: elements.latencyEnabled.checked,
         minMs: parseInt(elements.minLatency.value) || 0,
         maxMs: parseInt(elements.maxLatency.value) || 0,
+        distribution: elements.latencyDistribution.value,
+        meanMs: parseInt(elements.meanLatency.value) || 0,
+        stdDevMs: parseInt(elements.stdDevLatency.value) || 0,
+        spikeMs: parseInt(elements.spikeLatency.value) || 0,
+        spikeRate: parseFloat(elements.spikeRate.value) || 0,
+        trickleBytesPerSecond: parseInt(elements.trickleRate.value) || 0,
       },
     };
+    const retention = {
+      maxCount: parseInt(elements.retentionMaxCount.value) || 0,
+      maxAgeHours: parseFloat(elements.retentionMaxAge.value) || 0,
+      maxTotalMb: parseFloat(elements.retentionMaxSize.value) || 0,
+    };
     
-    const response = await fetch(`${API_BASE}/config`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(newConfig),
-    });
+    const faults = readFaultRules();
+    const bounces = readBounceRules();
+    const tls = { required: elements.tlsRequired.checked };
+    const auth = { mode: elements.authMode.value, users: readAuthUsers() };
+    const dkim = { keys: readDkimKeys(), records: readDnsRecords() };
+    const relay = {
+      host: elements.relayHost.value.trim(),
+      port: parseInt(elements.relayPort.value) || 587,
+      secure: elements.relaySecure.checked,
+      allowInvalidCertificates: elements.relayAllowInvalid.checked,
+      username: elements.relayUsername.value.trim(),
+      password: elements.relayPassword.value,
+      envelopeFrom: elements.relayEnvelopeFrom.value.trim(),
+      autoRelay: elements.relayAuto.checked,
+      allowList: elements.relayAllowList.value.split(',').map(entry => entry.trim()).filter(Boolean),
+    };
+    const policy = {
+      maxMessageBytes: Math.round((parseFloat(elements.policyMaxSize.value) || 0) * 1024 * 1024),
+      maxRecipients: parseInt(elements.policyMaxRecipients.value) || 0,
+      allowedDomains: elements.policyAllowedDomains.value.split(',').map(entry => entry.trim()).filter(Boolean),
+      deniedDomains: elements.policyDeniedDomains.value.split(',').map(entry => entry.trim()).filter(Boolean),
+      rejectMalformed: elements.policyRejectMalformed.checked,
+    };
+    
+    const putConfig = async (url, body) => {
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        throw new Error((await response.json()).error);
+      }
+    };
+    
+    // Everything except rate limit and latency is shared; those belong to the selected inbox
+    if (selectedInbox) {
+      await putConfig(`${API_BASE}/config`, { retention, faults, bounces, tls, auth, dkim, relay, policy });
+      await putConfig(mailboxUrl('/config'), inboxConfig);
+    } else {
+      await putConfig(`${API_BASE}/config`, { ...inboxConfig, retention, faults, bounces, tls, auth, dkim, relay, policy });
+    }
     
-    config = await response.json();
-    showToast('Configuration saved!', 'success');
+    await fetchConfig();
+    showToast(selectedInbox ? `Configuration saved for "${selectedInbox}"` : 'Configuration saved!', 'success');
   } catch (error) {
     console.error('Failed to save config:', error);
-    showToast('Failed to save configuration', 'error');
+    showToast(error.message || 'Failed to save configuration', 'error');
   }
 }
 
 async function deleteEmail(id) {
   try {
-    await fetch(`${API_BASE}/emails/${id}`, { method: 'DELETE' });
-    await fetchEmails();
-    if (selectedEmailId === id) {
-      selectedEmailId = null;
-      showEmailDetail(null);
-    }
+    await fetch(mailboxUrl(`/emails/${id}`), { method: 'DELETE' });
+    removeEmail(id);
   } catch (error) {
     console.error('Failed to delete email:', error);
   }
 }
 
 async function clearAllEmails() {
-  if (!confirm('Are you sure you want to delete all emails?')) return;
+  const scope = selectedInbox ? `all emails in "${selectedInbox}"` : 'all emails';
+  if (!confirm(`Are you sure you want to delete ${scope}?`)) return;
   
   try {
-    await fetch(`${API_BASE}/emails`, { method: 'DELETE' });
-    await fetch(`${API_BASE}/errors`, { method: 'DELETE' });
-    await fetchEmails();
-    await fetchErrors();
+    await fetch(mailboxUrl('/emails'), { method: 'DELETE' });
+    await fetch(mailboxUrl('/errors'), { method: 'DELETE' });
+    emails = [];
+    emailTotal = 0;
+    nextCursor = null;
+    errors = [];
     selectedEmailId = null;
+    selectedEmail = null;
     showEmailDetail(null);
+    renderEmailList();
+    updateErrorBanner();
+    updateStats();
   } catch (error) {
     console.error('Failed to clear emails:', error);
   }
 }
 
+// Download what the list shows (inbox and search) as one mbox file
+function exportEmails() {
+  const query = new URLSearchParams({ format: 'mbox' });
+  const searchTerm = elements.searchInput.value.trim();
+  if (searchTerm) query.set('q', searchTerm);
+  window.location.href = mailboxUrl(`/export?${query}`);
+}
+
+// Imported emails show up through the email.received events
+async function importEmails(files) {
+  let imported = 0;
+  const failures = [];
+  
+  for (const file of files) {
+    try {
+      const response = await fetch(mailboxUrl('/import'), { method: 'POST', body: file });
+      const result = await response.json();
+      imported += result.imported?.length || 0;
+      if (!response.ok) failures.push(`${file.name}: ${result.error || result.failed?.[0]?.error || 'nothing imported'}`);
+    } catch (error) {
+      failures.push(`${file.name}: ${error.message}`);
+    }
+  }
+  
+  elements.importFile.value = '';
+  const summary = `Imported ${imported} email${imported === 1 ? '' : 's'}`;
+  if (failures.length) {
+    failures.forEach(failure => console.error('Import failed:', failure));
+    showToast(`${summary}; ${failures[0]}`, 'error');
+  } else {
+    showToast(summary, 'success');
+  }
+}
+
 async function clearErrors() {
   try {
-    await fetch(`${API_BASE}/errors`, { method: 'DELETE' });
-    await fetchErrors();
+    await fetch(mailboxUrl('/errors'), { method: 'DELETE' });
+    errors = [];
+    updateErrorBanner();
+    updateStats();
   } catch (error) {
     console.error('Failed to clear errors:', error);
   }
 }
 
-// UI Functions
-function renderEmailList() {
-  const searchTerm = elements.searchInput.value.toLowerCase();
-  const filteredEmails = emails.filter(email => {
-    return (
-      email.subject.toLowerCase().includes(searchTerm) ||
-      email.from.toLowerCase().includes(searchTerm) ||
-      email.to.toLowerCase().includes(searchTerm) ||
-      email.text.toLowerCase().includes(searchTerm)
-    );
+// Realtime updates (Server-Sent Events with polling fallback)
+function startPolling() {
+  if (pollTimer) return;
+  pollTimer = setInterval(async () => {
+    await fetchEmails();
+    await fetchErrors();
+  }, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function removeEmail(id) {
+  if (emails.some(e => e.id === id)) {
+    emails = emails.filter(e => e.id !== id);
+    emailTotal = Math.max(0, emailTotal - 1);
+  }
+  if (selectedEmailId === id) {
+    selectedEmailId = null;
+    selectedEmail = null;
+    showEmailDetail(null);
+  }
+  renderEmailList();
+  updateStats();
+}
+
+// Whether an event about the given inbox affects the current view
+function isVisibleInbox(inbox) {
+  return !selectedInbox || inbox === selectedInbox;
+}
+
+function connectEvents() {
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+  
+  eventSource = new EventSource(`${API_BASE}/events`);
+  
+  eventSource.addEventListener('open', () => {
+    // Catch up on anything missed while disconnected, then rely on push
+    stopPolling();
+    fetchInboxes();
+    fetchEmails();
+    fetchErrors();
+  });
+  
+  // EventSource reconnects on its own; poll until it does
+  eventSource.addEventListener('error', startPolling);
+  
+  eventSource.addEventListener('email.received', (event) => {
+    const email = JSON.parse(event.data);
+    if (!inboxes.some(i => i.name === email.inbox)) {
+      fetchInboxes();
+    }
+    if (!isVisibleInbox(email.inbox)) return;
+    
+    // Let the server decide whether a new email matches the search
+    if (elements.searchInput.value.trim()) {
+      fetchEmails();
+      return;
+    }
+    
+    if (!emails.some(e => e.id === email.id)) {
+      emails = [email, ...emails];
+      emailTotal++;
+    }
+    renderEmailList();
+    updateStats();
+  });
+  
+  // Relay results (manual or auto) are added to the email after it arrived
+  eventSource.addEventListener('email.relayed', (event) => {
+    const { id, relay } = JSON.parse(event.data);
+    if (selectedEmail?.id !== id) return;
+    selectedEmail.relays = [...(selectedEmail.relays || []), relay];
+    showRelays(selectedEmail);
+  });
+  
+  eventSource.addEventListener('email.deleted', (event) => {
+    removeEmail(JSON.parse(event.data).id);
+  });
+  
+  eventSource.addEventListener('emails.cleared', (event) => {
+    const { inbox } = JSON.parse(event.data);
+    if (inbox && !isVisibleInbox(inbox)) return;
+    
+    // One inbox was cleared while viewing all of them
+    if (inbox && !selectedInbox) {
+      fetchEmails();
+      return;
+    }
+    
+    emails = [];
+    emailTotal = 0;
+    nextCursor = null;
+    selectedEmailId = null;
+    selectedEmail = null;
+    showEmailDetail(null);
+    renderEmailList();
+    updateStats();
+  });
+  
+  eventSource.addEventListener('error.recorded', (event) => {
+    const error = JSON.parse(event.data);
+    if (!isVisibleInbox(error.inbox)) return;
+    
+    errors = [error, ...errors].slice(0, MAX_ERRORS);
+    updateErrorBanner();
+    updateStats();
+  });
+  
+  eventSource.addEventListener('errors.cleared', (event) => {
+    const { inbox } = JSON.parse(event.data);
+    if (inbox && !isVisibleInbox(inbox)) return;
+    
+    if (inbox && !selectedInbox) {
+      fetchErrors();
+      return;
+    }
+    
+    errors = [];
+    updateErrorBanner();
+    updateStats();
+  });
+  
+  eventSource.addEventListener('config.updated', () => {
+    fetchInboxes();
+    // Don't overwrite values the user is still editing
+    if (!elements.configPanel.classList.contains('active')) {
+      fetchConfig();
+    }
   });
+}
+
+// UI Functions
+function renderInboxSelect() {
+  // Keep a remembered inbox selectable even before it has any mail
+  const names = inboxes.map(i => i.name);
+  if (selectedInbox && !names.includes(selectedInbox)) names.push(selectedInbox);
   
-  if (filteredEmails.length === 0) {
+  elements.inboxSelect.innerHTML = `<option value="">All inboxes</option>` + names.map(name => {
+    const inbox = inboxes.find(i => i.name === name);
+    const count = inbox ? ` (${inbox.totalEmails})` : '';
+    return `<option value="${escapeHtml(name)}">${escapeHtml(name)}${count}</option>`;
+  }).join('');
+  elements.inboxSelect.value = selectedInbox;
+}
+
+// Tag emails from other inboxes when viewing all of them
+function inboxBadge(email) {
+  if (selectedInbox || email.inbox === 'default') return '';
+  return `<span class="email-item-inbox">${escapeHtml(email.inbox)}</span>`;
+}
+
+function switchInbox(inbox) {
+  selectedInbox = inbox;
+  localStorage.setItem('selectedInbox', inbox);
+  
+  emails = [];
+  nextCursor = null;
+  selectedEmailId = null;
+  selectedEmail = null;
+  showEmailDetail(null);
+  
+  fetchEmails();
+  fetchErrors();
+  fetchConfig();
+}
+
+function renderEmailList() {
+  if (emails.length === 0) {
     elements.emptyState.style.display = 'flex';
     elements.emailItems.innerHTML = '';
     elements.emailItems.appendChild(elements.emptyState);
@@ -162,16 +570,20 @@ function renderEmailList() {
   }
   
   elements.emptyState.style.display = 'none';
-  elements.emailItems.innerHTML = filteredEmails.map(email => `
+  elements.emailItems.innerHTML = emails.map(email => `
     <div class="email-item ${email.id === selectedEmailId ? 'active' : ''}" data-id="${email.id}">
       <div class="email-item-header">
         <span class="email-item-from">${escapeHtml(extractName(email.from))}</span>
         <span class="email-item-time">${formatTime(email.receivedAt)}</span>
       </div>
-      <div class="email-item-subject">${escapeHtml(email.subject)}</div>
-      <div class="email-item-preview">${escapeHtml(email.text.substring(0, 100))}</div>
+      <div class="email-item-subject">${inboxBadge(email)}${escapeHtml(email.subject)}</div>
+      <div class="email-item-preview">${escapeHtml(email.preview.substring(0, 100))}</div>
     </div>
-  `).join('');
+  `).join('') + (nextCursor ? `
+    <button class="btn btn-sm load-more" id="loadMore">Load more (${emailTotal - emails.length} remaining)</button>
+  ` : '');
+  
+  elements.emailItems.querySelector('#loadMore')?.addEventListener('click', loadMoreEmails);
   
   // Add click handlers
   elements.emailItems.querySelectorAll('.email-item').forEach(item => {
@@ -182,11 +594,15 @@ function renderEmailList() {
   });
 }
 
-function selectEmail(id) {
+async function selectEmail(id) {
   selectedEmailId = id;
-  const email = emails.find(e => e.id === id);
-  showEmailDetail(email);
   renderEmailList();
+  
+  const email = await fetchEmailDetail(id);
+  // Ignore the response if another email was selected meanwhile
+  if (selectedEmailId !== id) return;
+  selectedEmail = email;
+  showEmailDetail(email);
 }
 
 function showEmailDetail(email) {
@@ -203,15 +619,34 @@ function showEmailDetail(email) {
   elements.emailFrom.textContent = email.from;
   elements.emailTo.textContent = email.to;
   elements.emailReceived.textContent = formatDate(email.receivedAt);
+  elements.emailTls.textContent = email.tls
+    ? `${email.tls.protocol} ${email.tls.cipher} (${email.tls.implicit ? 'SMTPS' : 'STARTTLS'})`
+    : 'None (plaintext)';
+  elements.emailSpamScore.textContent = email.spamScore ?? '–';
+  elements.emailAuthResults.innerHTML = renderAuthBadges(email.authentication);
+  elements.emailUserRow.style.display = email.user ? '' : 'none';
+  elements.emailUser.textContent = email.user || '';
+  showRelays(email);
   
   // Set email body
-  if (viewMode === 'html' && email.html) {
+  elements.emailInspect.style.display = 'none';
+  elements.previewControls.style.display = viewMode === 'html' && email.html ? 'flex' : 'none';
+  elements.emailBody.classList.remove('preview-device');
+  if (INSPECT_MODES.includes(viewMode)) {
+    elements.emailBodyFrame.style.display = 'none';
+    elements.emailBodyText.style.display = 'none';
+    showInspectView(email, viewMode);
+  } else if (viewMode === 'html' && email.html) {
     elements.emailBodyFrame.style.display = 'block';
     elements.emailBodyText.style.display = 'none';
     
+    const width = PREVIEW_WIDTHS[preview.width];
+    elements.emailBodyFrame.style.width = width ? `${width}px` : '100%';
+    elements.emailBody.classList.toggle('preview-device', Boolean(width));
+    
     const doc = elements.emailBodyFrame.contentDocument || elements.emailBodyFrame.contentWindow.document;
     doc.open();
-    doc.write(email.html);
+    doc.write(previewDocument(email));
     doc.close();
   } else {
     elements.emailBodyFrame.style.display = 'none';
@@ -219,62 +654,135 @@ function showEmailDetail(email) {
     elements.emailBodyText.textContent = email.text || '(No text content)';
   }
   
-  // Show attachments
-  if (email.attachments && email.attachments.length > 0) {
-    elements.emailAttachments.style.display = 'block';
-    elements.attachmentList.innerHTML = email.attachments.map(att => {
-      const isImage = att.contentType?.startsWith('image/');
-      const isPdf = att.contentType === 'application/pdf';
-      const downloadUrl = `/api/emails/${email.id}/attachments/${att.id}`;
-      const previewUrl = `/api/emails/${email.id}/attachments/${att.id}/inline`;
-      
-      let icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
-      </svg>`;
-      
-      if (isImage) {
-        icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
-          <circle cx="8.5" cy="8.5" r="1.5"></circle>
-          <polyline points="21 15 16 10 5 21"></polyline>
-        </svg>`;
-      } else if (isPdf) {
-        icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
-          <polyline points="14 2 14 8 20 8"></polyline>
-        </svg>`;
-      }
-      
-      let preview = '';
-      if (isImage) {
-        preview = `<img src="${previewUrl}" alt="${escapeHtml(att.filename)}" class="attachment-preview" onclick="window.open('${previewUrl}', '_blank')">`;
-      }
-      
-      return `
-        <div class="attachment-item ${isImage ? 'attachment-image' : ''}">
-          ${preview}
-          <div class="attachment-info">
-            ${icon}
-            <span class="attachment-name">${escapeHtml(att.filename)}</span>
-            <span class="attachment-size">(${formatSize(att.size)})</span>
-            <a href="${downloadUrl}" download="${escapeHtml(att.filename)}" class="attachment-download" title="Download">
-              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                <polyline points="7 10 12 15 17 10"></polyline>
-                <line x1="12" y1="15" x2="12" y2="3"></line>
-              </svg>
-            </a>
-          </div>
-        </div>
-      `;
-    }).join('');
-  } else {
-    elements.emailAttachments.style.display = 'none';
+  // Show attachments; images embedded in the HTML get their own section
+  showAttachments(elements.emailAttachments, elements.attachmentList, email, email.attachments.filter(a => !a.inline));
+  showAttachments(elements.emailInlineParts, elements.inlinePartList, email, email.attachments.filter(a => a.inline));
+  
+  // cid: references with no matching part render as broken images
+  const unresolved = email.unresolvedCids || [];
+  elements.emailCidWarning.style.display = unresolved.length ? 'block' : 'none';
+  elements.emailCidWarning.textContent = `⚠ No inline part found for ${unresolved.map(cid => `cid:${cid}`).join(', ')}`;
+}
+
+function showAttachments(section, list, email, attachments) {
+  if (attachments.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  
+  section.style.display = 'block';
+  list.innerHTML = attachments.map(att => renderAttachment(email, att)).join('');
+}
+
+function renderAttachment(email, att) {
+  const isImage = att.contentType?.startsWith('image/');
+  const isPdf = att.contentType === 'application/pdf';
+  const downloadUrl = `/api/emails/${email.id}/attachments/${att.id}`;
+  const previewUrl = `/api/emails/${email.id}/attachments/${att.id}/inline`;
+  
+  let icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
+  </svg>`;
+  
+  if (isImage) {
+    icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+      <circle cx="8.5" cy="8.5" r="1.5"></circle>
+      <polyline points="21 15 16 10 5 21"></polyline>
+    </svg>`;
+  } else if (isPdf) {
+    icon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+      <polyline points="14 2 14 8 20 8"></polyline>
+    </svg>`;
+  }
+  
+  let preview = '';
+  if (isImage) {
+    preview = `<img src="${previewUrl}" alt="${escapeHtml(att.filename)}" class="attachment-preview" onclick="window.open('${previewUrl}', '_blank')">`;
+  }
+  
+  return `
+    <div class="attachment-item ${isImage ? 'attachment-image' : ''}">
+      ${preview}
+      <div class="attachment-info">
+        ${icon}
+        <span class="attachment-name">${escapeHtml(att.filename)}</span>
+        <span class="attachment-size">(${formatSize(att.size)})</span>
+        <a href="${downloadUrl}" download="${escapeHtml(att.filename)}" class="attachment-download" title="Download">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+            <polyline points="7 10 12 15 17 10"></polyline>
+            <line x1="12" y1="15" x2="12" y2="3"></line>
+          </svg>
+        </a>
+      </div>
+    </div>
+  `;
+}
+
+// Simulated client conditions. Dark mode answers the email's own
+// prefers-color-scheme queries; inverted mimics clients that force dark mode
+// by inverting colours (and flipping images back).
+const PREVIEW_STYLES = {
+  dark: ':root { color-scheme: dark; }',
+  inverted: `
+    html { filter: invert(1) hue-rotate(180deg); background: #fff; }
+    img, picture, video, [background], [style*="url("] { filter: invert(1) hue-rotate(180deg); }
+  `,
+};
+
+function previewDocument(email) {
+  // The server has already pointed cid: images at the inline attachment route
+  let html = email.previewHtml ?? email.html;
+  if (preview.blockImages) html = blockImages(html);
+  html = simulateColorScheme(html, preview.scheme === 'dark' ? 'dark' : 'light');
+  const style = PREVIEW_STYLES[preview.scheme];
+  return style ? injectStyle(html, style) : html;
+}
+
+// The iframe follows the OS setting, so answer prefers-color-scheme in the
+// email's CSS with conditions that are always or never true
+function simulateColorScheme(html, scheme) {
+  return html.replace(/prefers-color-scheme\s*:\s*(dark|light)/gi, (match, value) => (
+    value.toLowerCase() === scheme ? 'min-width: 0px' : 'max-width: 0px'
+  ));
+}
+
+// Drop image sources the way clients do before images are allowed; alt text shows instead
+function blockImages(html) {
+  return html
+    .replace(/<(img|source)\b[^>]*>/gi, tag => tag.replace(/\s(src|srcset)\s*=/gi, ' data-blocked-$1='))
+    .replace(/\sbackground\s*=/gi, ' data-blocked-background=')
+    .replace(/url\(\s*(['"]?)[^)]*?\1\s*\)/gi, 'none');
+}
+
+function injectStyle(html, css) {
+  const tag = `<style>${css}</style>`;
+  return /<head\b[^>]*>/i.test(html) ? html.replace(/<head\b[^>]*>/i, match => match + tag) : tag + html;
+}
+
+function updatePreviewControls() {
+  document.querySelectorAll('[data-preview-width]').forEach(button => {
+    button.classList.toggle('active', button.dataset.previewWidth === preview.width);
+  });
+  document.querySelectorAll('[data-preview-scheme]').forEach(button => {
+    button.classList.toggle('active', button.dataset.previewScheme === preview.scheme);
+  });
+  elements.previewBlockImages.classList.toggle('active', preview.blockImages);
+}
+
+function setPreview(changes) {
+  preview = { ...preview, ...changes };
+  localStorage.setItem('preview', JSON.stringify(preview));
+  updatePreviewControls();
+  if (selectedEmail && viewMode === 'html') {
+    showEmailDetail(selectedEmail);
   }
 }
 
 function updateStats() {
-  elements.emailCount.textContent = emails.length;
+  elements.emailCount.textContent = emailTotal;
   elements.errorCount.textContent = errors.length;
 }
 
@@ -288,7 +796,21 @@ function updateErrorBanner() {
   elements.errorBanner.style.display = 'block';
   const errorCode = latestError.code ? `[${latestError.code}] ` : '';
   const errorType = latestError.type ? `(${latestError.type.replace('_', ' ')}) ` : '';
-  elements.errorMessage.textContent = `${errorCode}${latestError.message} - From: ${latestError.from}`;
+  // Failed AUTH happens before MAIL FROM, so show who tried to log in instead
+  const source = latestError.user
+    ? `User: ${latestError.user}${latestError.reason ? ` (${latestError.reason})` : ''}`
+    : `From: ${latestError.from}`;
+  elements.errorMessage.textContent = `${errorCode}${latestError.message} - ${source}`;
+}
+
+// Per-stage delays and scenarios are set through the API or the config file
+function describeLatencyExtras(latency) {
+  const stages = Object.keys(latency.stages || {});
+  const phases = latency.scenario?.phases || [];
+  return [
+    stages.length ? `Stage delays: ${stages.join(', ')}` : '',
+    phases.length ? `Scenario: ${phases.map(phase => `${phase.name} (${phase.durationMs / 1000}s)`).join(' → ')}${latency.scenario.loop ? ', looping' : ''}` : '',
+  ].filter(Boolean).join(' · ');
 }
 
 function updateConfigUI() {
@@ -297,22 +819,723 @@ function updateConfigUI() {
   elements.latencyEnabled.checked = config.latency?.enabled ?? false;
   elements.minLatency.value = config.latency?.minMs ?? 0;
   elements.maxLatency.value = config.latency?.maxMs ?? 0;
+  elements.latencyDistribution.value = config.latency?.distribution || 'uniform';
+  elements.meanLatency.value = config.latency?.meanMs ?? 0;
+  elements.stdDevLatency.value = config.latency?.stdDevMs ?? 0;
+  elements.spikeLatency.value = config.latency?.spikeMs ?? 0;
+  elements.spikeRate.value = config.latency?.spikeRate ?? 0.01;
+  elements.trickleRate.value = config.latency?.trickleBytesPerSecond ?? 0;
+  elements.latencyScenario.textContent = describeLatencyExtras(config.latency || {});
+  elements.retentionMaxCount.value = config.retention?.maxCount ?? 100;
+  elements.retentionMaxAge.value = config.retention?.maxAgeHours ?? 0;
+  elements.retentionMaxSize.value = config.retention?.maxTotalMb ?? 0;
+  elements.tlsRequired.checked = config.tls?.required ?? false;
+  elements.tlsListeners.textContent = describeTlsListeners(config.tls || {});
+  elements.authMode.value = config.auth?.mode || 'any';
+  renderAuthUsers(config.auth?.users || []);
+  renderDkimKeys(config.dkim?.keys || []);
+  renderDnsRecords(config.dkim?.records || []);
+  elements.relayHost.value = config.relay?.host || '';
+  elements.relayPort.value = config.relay?.port ?? 587;
+  elements.relaySecure.checked = config.relay?.secure ?? false;
+  elements.relayAllowInvalid.checked = config.relay?.allowInvalidCertificates ?? false;
+  elements.relayUsername.value = config.relay?.username || '';
+  elements.relayPassword.value = config.relay?.password || '';
+  elements.relayEnvelopeFrom.value = config.relay?.envelopeFrom || '';
+  elements.relayAuto.checked = config.relay?.autoRelay ?? false;
+  elements.relayAllowList.value = (config.relay?.allowList || []).join(', ');
+  elements.policyMaxSize.value = (config.policy?.maxMessageBytes ?? 0) / (1024 * 1024);
+  elements.policyMaxRecipients.value = config.policy?.maxRecipients ?? 0;
+  elements.policyAllowedDomains.value = (config.policy?.allowedDomains || []).join(', ');
+  elements.policyDeniedDomains.value = (config.policy?.deniedDomains || []).join(', ');
+  elements.policyRejectMalformed.checked = config.policy?.rejectMalformed ?? false;
+  renderRateLimits(config.rateLimit?.limits || []);
+  renderFaultRules(config.faults || []);
+  renderBounceRules(config.bounces || []);
+}
+
+function describeTlsListeners(tls) {
+  const listeners = [];
+  if (tls.starttls) listeners.push('STARTTLS');
+  if (tls.implicit) listeners.push(`SMTPS on port ${tls.implicitPort}`);
+  return listeners.length ? `Enabled: ${listeners.join(', ')}` : 'STARTTLS and SMTPS are off (see README)';
+}
+
+// Auth user editor
+function renderAuthUsers(users) {
+  if (users.length === 0) {
+    elements.authUsers.innerHTML = '<p class="fault-empty">No users. "Require a valid user" rejects every login.</p>';
+    return;
+  }
+  
+  elements.authUsers.innerHTML = users.map(user => `
+    <div class="fault-rule auth-user">
+      <input type="text" data-field="username" value="${escapeHtml(user.username)}" placeholder="Username">
+      <input type="text" data-field="password" value="${escapeHtml(user.password)}" placeholder="Password">
+      <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove user">×</button>
+    </div>
+  `).join('');
+  
+  elements.authUsers.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.auth-user').remove();
+      if (!elements.authUsers.querySelector('.auth-user')) renderAuthUsers([]);
+    });
+  });
+}
+
+function readAuthUsers() {
+  return [...elements.authUsers.querySelectorAll('.auth-user')]
+    .map(row => ({
+      username: row.querySelector('[data-field="username"]').value.trim(),
+      password: row.querySelector('[data-field="password"]').value,
+    }))
+    .filter(user => user.username);
+}
+
+function addAuthUser() {
+  renderAuthUsers([...readAuthUsers(), { username: '', password: '' }]);
+}
+
+// DKIM key and DNS record editors
+const DNS_RECORD_TYPES = ['TXT', 'A', 'AAAA', 'MX'];
+
+function renderDkimKeys(keys) {
+  if (keys.length === 0) {
+    elements.dkimKeys.innerHTML = '<p class="fault-empty">No DKIM keys. Signed messages will fail with "no key".</p>';
+    return;
+  }
+  
+  elements.dkimKeys.innerHTML = keys.map(key => `
+    <div class="fault-rule dkim-key">
+      <input type="text" data-field="domain" value="${escapeHtml(key.domain)}" placeholder="Domain (d=)">
+      <input type="text" data-field="selector" value="${escapeHtml(key.selector)}" placeholder="Selector (s=)">
+      <input type="text" class="input-wide" data-field="publicKey" value="${escapeHtml(key.publicKey)}" placeholder="Public key (PEM or base64 p= value)">
+      <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove key">×</button>
+    </div>
+  `).join('');
+  
+  elements.dkimKeys.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.dkim-key').remove();
+      if (!elements.dkimKeys.querySelector('.dkim-key')) renderDkimKeys([]);
+    });
+  });
+}
+
+function readDkimKeys() {
+  return [...elements.dkimKeys.querySelectorAll('.dkim-key')]
+    .map(row => ({
+      domain: row.querySelector('[data-field="domain"]').value.trim(),
+      selector: row.querySelector('[data-field="selector"]').value.trim(),
+      publicKey: row.querySelector('[data-field="publicKey"]').value.trim(),
+    }))
+    .filter(key => key.domain || key.selector || key.publicKey);
+}
+
+function addDkimKey() {
+  renderDkimKeys([...readDkimKeys(), { domain: '', selector: '', publicKey: '' }]);
+}
+
+function renderDnsRecords(records) {
+  if (records.length === 0) {
+    elements.dnsRecords.innerHTML = '<p class="fault-empty">No DNS records. Add TXT records for SPF (v=spf1 ...) and DMARC (_dmarc.domain).</p>';
+    return;
+  }
+  
+  elements.dnsRecords.innerHTML = records.map(record => `
+    <div class="fault-rule dns-record">
+      <input type="text" data-field="name" value="${escapeHtml(record.name)}" placeholder="Name, e.g. _dmarc.example.com">
+      <select class="select-input" data-field="type" title="Type">${selectOptions(DNS_RECORD_TYPES, record.type)}</select>
+      <input type="text" class="input-wide" data-field="value" value="${escapeHtml(record.value)}" placeholder="Value, e.g. v=DMARC1; p=reject">
+      <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove record">×</button>
+    </div>
+  `).join('');
+  
+  elements.dnsRecords.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.dns-record').remove();
+      if (!elements.dnsRecords.querySelector('.dns-record')) renderDnsRecords([]);
+    });
+  });
+}
+
+function readDnsRecords() {
+  return [...elements.dnsRecords.querySelectorAll('.dns-record')]
+    .map(row => ({
+      name: row.querySelector('[data-field="name"]').value.trim(),
+      type: row.querySelector('[data-field="type"]').value,
+      value: row.querySelector('[data-field="value"]').value.trim(),
+    }))
+    .filter(record => record.name);
+}
+
+function addDnsRecord() {
+  renderDnsRecords([...readDnsRecords(), { name: '', type: 'TXT', value: '' }]);
+}
+
+// Rate limit editor
+const RATE_LIMIT_ALGORITHMS = ['fixed-window', 'sliding-window', 'token-bucket'];
+const RATE_LIMIT_SCOPES = ['global', 'sender', 'recipient', 'recipient-domain', 'user'];
+const RATE_LIMIT_WINDOWS = { 1000: 'second', 60000: 'minute', 3600000: 'hour', 86400000: 'day' };
+
+function selectOptions(values, selected, labels = {}) {
+  return values
+    .map(v => `<option value="${v}" ${String(v) === String(selected) ? 'selected' : ''}>${labels[v] || v}</option>`)
+    .join('');
+}
+
+function renderRateLimits(limits) {
+  if (limits.length === 0) {
+    elements.rateLimitRules.innerHTML = '<p class="fault-empty">No rate limits. "Max emails per second" applies to the whole inbox.</p>';
+    return;
+  }
+  
+  elements.rateLimitRules.innerHTML = limits.map(limit => {
+    const windows = Object.keys(RATE_LIMIT_WINDOWS);
+    if (!windows.includes(String(limit.windowMs))) windows.push(String(limit.windowMs));
+    
+    return `
+      <div class="fault-rule rate-limit-rule" data-id="${escapeHtml(limit.id || '')}">
+        <select class="select-input" data-field="algorithm" title="Algorithm">${selectOptions(RATE_LIMIT_ALGORITHMS, limit.algorithm)}</select>
+        <input type="number" data-field="max" value="${limit.max ?? 1}" min="1" title="Max emails">
+        <span class="rule-label">per</span>
+        <select class="select-input" data-field="windowMs" title="Window">${selectOptions(windows, limit.windowMs ?? 1000, RATE_LIMIT_WINDOWS)}</select>
+        <input type="number" data-field="burst" value="${limit.algorithm === 'token-bucket' ? limit.burst ?? '' : ''}" min="1" placeholder="Burst" title="Bucket size (token bucket only)">
+        <select class="select-input" data-field="scope" title="Counted per">${selectOptions(RATE_LIMIT_SCOPES, limit.scope)}</select>
+        <input type="number" data-field="code" value="${limit.code ?? 421}" min="400" max="599" title="SMTP code">
+        <input type="text" data-field="name" value="${escapeHtml(limit.name)}" placeholder="Name (optional)">
+        <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove limit">×</button>
+      </div>
+    `;
+  }).join('');
+  
+  elements.rateLimitRules.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.rate-limit-rule').remove();
+      if (!elements.rateLimitRules.querySelector('.rate-limit-rule')) renderRateLimits([]);
+    });
+  });
+}
+
+function readRateLimits() {
+  return [...elements.rateLimitRules.querySelectorAll('.rate-limit-rule')].map(row => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    return {
+      id: row.dataset.id || undefined,
+      name: field('name').value.trim(),
+      algorithm: field('algorithm').value,
+      max: parseInt(field('max').value) || 1,
+      windowMs: parseInt(field('windowMs').value) || 1000,
+      burst: parseInt(field('burst').value) || undefined,
+      scope: field('scope').value,
+      code: parseInt(field('code').value) || 421,
+    };
+  });
+}
+
+function addRateLimit() {
+  renderRateLimits([...readRateLimits(), { algorithm: 'fixed-window', max: 1, windowMs: 1000, scope: 'global', code: 421 }]);
+}
+
+// Fault rule editor
+const FAULT_STAGES = ['rcpt', 'data', 'after-data'];
+const FAULT_ACTIONS = ['respond', 'drop', 'timeout'];
+
+function renderFaultRules(rules) {
+  if (rules.length === 0) {
+    elements.faultRules.innerHTML = '<p class="fault-empty">No fault rules. Every message is accepted.</p>';
+    return;
+  }
+  
+  elements.faultRules.innerHTML = rules.map(rule => `
+    <div class="fault-rule" data-id="${escapeHtml(rule.id || '')}">
+      <label class="toggle" title="Enabled">
+        <input type="checkbox" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}>
+        <span class="toggle-slider"></span>
+      </label>
+      <select class="select-input" data-field="stage" title="Stage">${selectOptions(FAULT_STAGES, rule.stage || 'data')}</select>
+      <select class="select-input" data-field="action" title="Action">${selectOptions(FAULT_ACTIONS, rule.action || 'respond')}</select>
+      <input type="number" data-field="code" value="${rule.code ?? 550}" min="400" max="599" title="SMTP code">
+      <input type="text" data-field="from" value="${escapeHtml(rule.match?.from)}" placeholder="From (regex)">
+      <input type="text" data-field="to" value="${escapeHtml(rule.match?.to)}" placeholder="To (regex)">
+      <input type="text" data-field="subject" value="${escapeHtml(rule.match?.subject)}" placeholder="Subject (regex)">
+      <input type="number" data-field="nth" value="${rule.match?.nth ?? ''}" min="1" placeholder="Nth" title="Only the Nth matching message">
+      <label class="fault-repeat" title="Every Nth message instead of only the Nth">
+        <input type="checkbox" data-field="repeat" ${rule.match?.repeat ? 'checked' : ''}> every
+      </label>
+      <input type="text" data-field="message" value="${escapeHtml(rule.message)}" placeholder="Reply text (optional)">
+      <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove rule">×</button>
+    </div>
+  `).join('');
+  
+  elements.faultRules.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.fault-rule').remove();
+      if (!elements.faultRules.querySelector('.fault-rule')) renderFaultRules([]);
+    });
+  });
+}
+
+function readFaultRules() {
+  return [...elements.faultRules.querySelectorAll('.fault-rule')].map(row => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    return {
+      id: row.dataset.id || undefined,
+      enabled: field('enabled').checked,
+      stage: field('stage').value,
+      action: field('action').value,
+      code: parseInt(field('code').value) || 550,
+      message: field('message').value.trim(),
+      match: {
+        from: field('from').value.trim(),
+        to: field('to').value.trim(),
+        subject: field('subject').value.trim(),
+        nth: parseInt(field('nth').value) || null,
+        repeat: field('repeat').checked,
+      },
+    };
+  });
+}
+
+function addFaultRule() {
+  renderFaultRules([...readFaultRules(), { enabled: true, stage: 'rcpt', action: 'respond', code: 550, match: {} }]);
+}
+
+// Bounce and auto-reply rule editor
+const BOUNCE_TYPES = ['dsn', 'auto-reply'];
+const DSN_ACTIONS = ['failed', 'delayed'];
+
+function renderBounceRules(rules) {
+  if (rules.length === 0) {
+    elements.bounceRules.innerHTML = '<p class="fault-empty">No bounce rules. Nothing is sent back to senders.</p>';
+    return;
+  }
+  
+  elements.bounceRules.innerHTML = rules.map(rule => `
+    <div class="fault-rule" data-id="${escapeHtml(rule.id || '')}" data-return-content="${escapeHtml(rule.returnContent || '')}" data-reply-subject="${escapeHtml(rule.replySubject || '')}">
+      <label class="toggle" title="Enabled">
+        <input type="checkbox" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}>
+        <span class="toggle-slider"></span>
+      </label>
+      <select class="select-input" data-field="type" title="Type">${selectOptions(BOUNCE_TYPES, rule.type || 'dsn')}</select>
+      <select class="select-input" data-field="action" title="DSN action">${selectOptions(DSN_ACTIONS, rule.action || 'failed')}</select>
+      <input type="text" data-field="status" value="${escapeHtml(rule.status)}" placeholder="5.1.1" title="DSN status code">
+      <input type="text" data-field="from" value="${escapeHtml(rule.match?.from)}" placeholder="From (regex)">
+      <input type="text" data-field="to" value="${escapeHtml(rule.match?.to)}" placeholder="To (regex)">
+      <input type="text" data-field="subject" value="${escapeHtml(rule.match?.subject)}" placeholder="Subject (regex)">
+      <input type="number" data-field="delayMs" value="${rule.delayMs ?? 0}" min="0" title="Delay (ms)">
+      <input type="text" data-field="deliverTo" value="${escapeHtml(rule.deliverTo || 'store')}" placeholder="store, smtp://host:port or http URL" title="Deliver to">
+      <input type="text" data-field="message" value="${escapeHtml(rule.message)}" placeholder="Diagnostic / reply text (optional)">
+      <button class="btn btn-sm btn-icon btn-danger" data-remove title="Remove rule">×</button>
+    </div>
+  `).join('');
+  
+  elements.bounceRules.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      button.closest('.fault-rule').remove();
+      if (!elements.bounceRules.querySelector('.fault-rule')) renderBounceRules([]);
+    });
+  });
+}
+
+function readBounceRules() {
+  return [...elements.bounceRules.querySelectorAll('.fault-rule')].map(row => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    return {
+      id: row.dataset.id || undefined,
+      enabled: field('enabled').checked,
+      type: field('type').value,
+      action: field('action').value,
+      status: field('status').value.trim() || undefined,
+      delayMs: parseInt(field('delayMs').value) || 0,
+      deliverTo: field('deliverTo').value.trim() || 'store',
+      message: field('message').value.trim(),
+      // Only settable through the API, kept as they are
+      returnContent: row.dataset.returnContent || undefined,
+      replySubject: row.dataset.replySubject || undefined,
+      match: {
+        from: field('from').value.trim(),
+        to: field('to').value.trim(),
+        subject: field('subject').value.trim(),
+      },
+    };
+  });
+}
+
+function addBounceRule() {
+  renderBounceRules([...readBounceRules(), { enabled: true, type: 'dsn', action: 'failed', deliverTo: 'store', match: {} }]);
 }
 
 function toggleConfigPanel() {
   elements.configPanel.classList.toggle('active');
 }
 
+// Metrics dashboard, refreshed while it's open
+const METRICS_REFRESH_MS = 2000;
+let metricsTimer = null;
+
+function toggleMetricsPanel() {
+  const open = elements.metricsPanel.classList.toggle('active');
+  clearInterval(metricsTimer);
+  metricsTimer = null;
+  if (open) {
+    fetchMetrics();
+    metricsTimer = setInterval(fetchMetrics, METRICS_REFRESH_MS);
+  }
+}
+
+async function fetchMetrics() {
+  try {
+    const response = await fetch(`${API_BASE}/metrics`);
+    renderMetrics(await response.json());
+  } catch (error) {
+    console.error('Failed to fetch metrics:', error);
+  }
+}
+
+async function resetMetrics() {
+  try {
+    const response = await fetch(`${API_BASE}/metrics`, { method: 'DELETE' });
+    renderMetrics(await response.json());
+  } catch (error) {
+    console.error('Failed to reset metrics:', error);
+  }
+}
+
+function renderMetrics(metrics) {
+  const { totals, series } = metrics;
+  // Average over the last 10 seconds, to compare with the configured limits
+  const recent = series.slice(-10);
+  const perSecond = (field) => (recent.reduce((sum, s) => sum + s[field], 0) / recent.length).toFixed(1);
+  const reasons = Object.entries(totals.rejectedByReason).map(([reason, count]) => `${reason.replace('_', ' ')} ${count}`).join(', ');
+  
+  elements.metricsSummary.innerHTML = `
+    <span><strong class="relay-sent">${totals.accepted}</strong> accepted</span>
+    <span><strong class="relay-failed">${totals.rejected}</strong> rejected${reasons ? ` (${escapeHtml(reasons)})` : ''}</span>
+    <span><strong>${(totals.rejectionRate * 100).toFixed(1)}%</strong> rejection rate</span>
+    <span><strong>${perSecond('accepted')}</strong> / <strong>${perSecond('rejected')}</strong> per second accepted / rejected (last 10s)</span>
+    <span class="metrics-since">since ${escapeHtml(formatDate(metrics.since))}</span>
+  `;
+  elements.metricsThroughput.innerHTML = renderThroughputChart(series);
+  elements.metricsLatency.innerHTML = renderHistogram(metrics.latencyMs, le => `≤${le}ms`, `mean ${metrics.latencyMs.mean}ms · max ${metrics.latencyMs.max}ms`);
+  elements.metricsSizes.innerHTML = renderHistogram(metrics.sizeBytes, le => `≤${formatSize(le)}`, `mean ${formatSize(metrics.sizeBytes.mean)} · max ${formatSize(metrics.sizeBytes.max)}`);
+  elements.metricsSenders.innerHTML = renderTopAddresses(metrics.topSenders);
+  elements.metricsRecipients.innerHTML = renderTopAddresses(metrics.topRecipients);
+}
+
+// Stacked bars per second: accepted at the bottom, rejected on top
+function renderThroughputChart(series) {
+  const width = 600;
+  const height = 120;
+  const max = Math.max(1, ...series.map(s => s.accepted + s.rejected));
+  const barWidth = width / series.length;
+  const y = (value) => (value / max) * height;
+  
+  const bars = series.map((s, i) => {
+    const x = (i * barWidth).toFixed(1);
+    const accepted = y(s.accepted);
+    const rejected = y(s.rejected);
+    const title = `<title>${new Date(s.time).toLocaleTimeString()}: ${s.accepted} accepted, ${s.rejected} rejected</title>`;
+    return `
+      ${s.accepted ? `<rect class="bar-accepted" x="${x}" y="${(height - accepted).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${accepted.toFixed(1)}">${title}</rect>` : ''}
+      ${s.rejected ? `<rect class="bar-rejected" x="${x}" y="${(height - accepted - rejected).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${rejected.toFixed(1)}">${title}</rect>` : ''}
+    `;
+  }).join('');
+  
+  return `
+    <svg class="metrics-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>
+    <div class="metrics-axis"><span>-5m</span><span>peak ${max}/s</span><span>now</span></div>
+  `;
+}
+
+function renderHistogram(histogram, formatBound, caption) {
+  if (!histogram.count) return '<p class="inspect-empty">No data yet</p>';
+  const max = Math.max(...histogram.buckets.map(b => b.count));
+  
+  return `
+    ${histogram.buckets.map((bucket, i) => `
+      <div class="histogram-row">
+        <span class="histogram-label">${bucket.le === null ? `>${formatBound(histogram.buckets[i - 1].le).slice(1)}` : formatBound(bucket.le)}</span>
+        <span class="histogram-bar"><span style="width: ${max ? (bucket.count / max) * 100 : 0}%"></span></span>
+        <span class="histogram-count">${bucket.count}</span>
+      </div>
+    `).join('')}
+    <div class="metrics-axis"><span>${histogram.count} samples · ${escapeHtml(caption)}</span></div>
+  `;
+}
+
+function renderTopAddresses(entries) {
+  if (!entries.length) return '<p class="inspect-empty">No data yet</p>';
+  return `
+    <table class="headers-table">
+      ${entries.map(entry => `
+        <tr>
+          <th>${entry.count}</th>
+          <td>${escapeHtml(entry.address)}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+// Source, Headers, Structure, Checks, Spam and Timeline tabs for debugging the message
+const INSPECT_MODES = ['source', 'headers', 'structure', 'checks', 'spam', 'timeline'];
+const INSPECT_ENDPOINTS = { source: 'raw', headers: 'mime', structure: 'mime', checks: 'check', spam: 'spam', timeline: 'transcript' };
+
+async function showInspectView(email, mode) {
+  elements.emailInspect.style.display = 'block';
+  elements.emailInspect.innerHTML = '<p class="inspect-empty">Loading…</p>';
+  
+  try {
+    const response = await fetch(`${API_BASE}/emails/${email.id}/${INSPECT_ENDPOINTS[mode]}`);
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    const data = mode === 'source' ? await response.text() : await response.json();
+    // Ignore the response if the email or tab changed meanwhile
+    if (selectedEmailId !== email.id || viewMode !== mode) return;
+    
+    if (mode === 'source') {
+      elements.emailInspect.innerHTML = `
+        <div class="inspect-toolbar">
+          <a class="btn btn-sm" href="${API_BASE}/emails/${email.id}/raw?download=1">Download .eml</a>
+        </div>
+        <pre class="inspect-source">${escapeHtml(data)}</pre>
+      `;
+    } else if (mode === 'headers') {
+      elements.emailInspect.innerHTML = renderHeaderTable(data.headers);
+    } else if (mode === 'checks') {
+      elements.emailInspect.innerHTML = renderChecks(data);
+    } else if (mode === 'spam') {
+      elements.emailInspect.innerHTML = renderSpamReport(data);
+    } else if (mode === 'timeline') {
+      elements.emailInspect.innerHTML = renderTimeline(email, data);
+    } else {
+      elements.emailInspect.innerHTML = `<ul class="mime-tree">${renderMimeNode(data)}</ul>`;
+    }
+  } catch (error) {
+    elements.emailInspect.innerHTML = `<p class="inspect-empty">Failed to load: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderHeaderTable(headers) {
+  return `
+    <table class="headers-table">
+      ${headers.map(h => `
+        <tr>
+          <th>${escapeHtml(h.name)}</th>
+          <td>${escapeHtml(h.value)}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+function renderChecks(report) {
+  const { error, warning, info } = report.summary;
+  const summary = `
+    <div class="checks-summary">
+      ${error} error${error === 1 ? '' : 's'} · ${warning} warning${warning === 1 ? '' : 's'} · ${info} note${info === 1 ? '' : 's'}
+      · HTML ${formatSize(report.htmlSize)} of Gmail's ${formatSize(report.clipLimit)} limit
+    </div>
+  `;
+  if (report.issues.length === 0) {
+    return `${summary}<p class="inspect-empty">No problems found.</p>`;
+  }
+  
+  return summary + report.issues.map(issue => `
+    <div class="check-issue check-${issue.severity}">
+      <div class="check-title">
+        <span class="check-severity">${issue.severity}</span>
+        ${escapeHtml(issue.title)}${issue.count > 1 ? ` <span class="check-count">×${issue.count}</span>` : ''}
+      </div>
+      <div class="check-message">${escapeHtml(issue.message)}</div>
+      ${issue.note ? `<div class="check-note">${escapeHtml(issue.note)}</div>` : ''}
+      ${issue.samples.length ? `<div class="check-samples">${issue.samples.map(sample => `<code>${escapeHtml(sample)}</code>`).join('')}</div>` : ''}
+      ${issue.support ? `
+        <div class="check-support">
+          ${Object.entries(report.clients).map(([id, name]) => `<span class="support-chip support-${issue.support[id]}">${escapeHtml(name)}</span>`).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+// Relay attempts, newest last, with the upstream reply or error
+function showRelays(email) {
+  const relays = email.relays || [];
+  elements.emailRelayRow.style.display = relays.length ? '' : 'none';
+  elements.emailRelays.innerHTML = relays.map(relay => `
+    <div class="relay-attempt relay-${relay.status}">
+      ${relay.status === 'sent' ? '✓' : '✗'} ${escapeHtml(relay.to.join(', '))} via ${escapeHtml(relay.host)}${relay.auto ? ' (auto)' : ''}
+      – ${escapeHtml(relay.status === 'sent' ? relay.response : relay.error)} · ${formatDate(relay.timestamp)}
+    </div>
+  `).join('');
+}
+
+async function releaseEmail(email) {
+  const original = (email.envelope?.to || []).join(', ');
+  const to = prompt('Relay this email to (comma-separated). Leave as is for the original recipients:', original);
+  if (to === null) return;
+  
+  try {
+    const response = await fetch(mailboxUrl(`/emails/${email.id}/release`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(to.trim() && to.trim() !== original ? { to } : {}),
+    });
+    const result = await response.json();
+    if (response.status === 502) {
+      showToast(`Relay failed: ${result.error}`, 'error');
+    } else if (!response.ok) {
+      throw new Error(result.error);
+    } else {
+      showToast(`Relayed to ${result.to.join(', ')}`, 'success');
+    }
+  } catch (error) {
+    console.error('Failed to release email:', error);
+    showToast(error.message || 'Failed to release email', 'error');
+  }
+}
+
+// DKIM/SPF/DMARC results as pass/fail badges; the comment explains failures on hover
+function renderAuthBadges(authentication) {
+  if (!authentication) return '–';
+  if (authentication.error) return `<span class="auth-badge auth-fail" title="${escapeHtml(authentication.error)}">Check failed</span>`;
+  
+  const badge = (label, result, comment) => {
+    const status = result === 'pass' ? 'pass' : ['fail', 'softfail', 'permerror', 'temperror'].includes(result) ? 'fail' : 'neutral';
+    return `<span class="auth-badge auth-${status}" title="${escapeHtml(comment || '')}">${escapeHtml(label)} ${escapeHtml(result)}</span>`;
+  };
+  const signatures = authentication.dkim.length
+    ? authentication.dkim.map(sig => badge(sig.domain ? `DKIM ${sig.domain}` : 'DKIM', sig.result, sig.comment))
+    : [badge('DKIM', 'none', 'message not signed')];
+  const { dmarc } = authentication;
+  const aligned = dmarc && [dmarc.alignment.dkim && 'DKIM', dmarc.alignment.spf && 'SPF'].filter(Boolean);
+  
+  return [
+    ...signatures,
+    badge('SPF', authentication.spf?.result || 'none', authentication.spf?.comment),
+    badge('DMARC', dmarc?.result || 'none', [dmarc?.comment, aligned?.length ? `aligned: ${aligned.join(', ')}` : 'not aligned'].filter(Boolean).join('; ')),
+  ].join('');
+}
+
+function renderSpamReport(report) {
+  const percent = Math.min(100, (report.score / report.threshold) * 100);
+  return `
+    <div class="spam-score ${report.spam ? 'spam-yes' : ''}">
+      <strong>${report.score}</strong> / ${report.threshold}
+      ${report.spam ? 'Likely to be marked as spam' : 'Below the spam threshold'}
+    </div>
+    <div class="spam-meter"><div class="spam-meter-fill" style="width: ${percent}%"></div></div>
+    ${report.rules.length ? `
+      <table class="headers-table spam-rules">
+        ${report.rules.map(rule => `
+          <tr>
+            <th>${rule.score.toFixed(1)}</th>
+            <td>
+              <strong>${escapeHtml(rule.id)}</strong> ${escapeHtml(rule.description)}
+              ${rule.detail ? `<div class="check-note">${escapeHtml(rule.detail)}</div>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </table>
+    ` : `<p class="inspect-empty">None of the ${report.checked} rules matched.</p>`}
+  `;
+}
+
+// Every attempt with this Message-ID, then this delivery's steps and full session log
+function renderTimeline(email, { messageId, transcript, attempts }) {
+  const attemptRows = attempts.length > 1 ? `
+    <h4 class="timeline-heading">Attempts for ${escapeHtml(messageId)}</h4>
+    <table class="headers-table">
+      ${attempts.map(attempt => `
+        <tr class="${attempt.id === email.id ? 'timeline-current' : ''}">
+          <th>${escapeHtml(formatDate(attempt.timestamp))}</th>
+          <td>
+            <span class="${attempt.outcome === 'stored' ? 'relay-sent' : 'relay-failed'}">${attempt.outcome === 'stored' ? 'Stored' : 'Rejected'}</span>
+            ${escapeHtml(attempt.message || attempt.type || '')}
+            ${attempt.transcript && attempt.id !== email.id ? `
+              <details><summary>Session log</summary>${renderSessionLog(attempt.transcript)}</details>
+            ` : ''}
+          </td>
+        </tr>
+      `).join('')}
+    </table>
+  ` : '';
+  
+  if (!transcript) {
+    return `${attemptRows}<p class="inspect-empty">No SMTP transcript (imported, or received before transcripts were recorded).</p>`;
+  }
+  
+  const client = [transcript.remoteAddress, transcript.clientName && `EHLO ${transcript.clientName}`, transcript.user && `user ${transcript.user}`]
+    .filter(Boolean).join(' · ');
+  return `
+    ${attemptRows}
+    <h4 class="timeline-heading">Timeline · ${escapeHtml(client)} · ${transcript.durationMs} ms</h4>
+    <table class="headers-table timeline">
+      ${transcript.timeline.map(step => `
+        <tr>
+          <th>+${step.ms} ms</th>
+          <td><strong>${escapeHtml(step.stage.replace('_', ' '))}</strong> ${escapeHtml(step.text)}</td>
+        </tr>
+      `).join('')}
+    </table>
+    <h4 class="timeline-heading">Session log</h4>
+    ${renderSessionLog(transcript)}
+  `;
+}
+
+function renderSessionLog(transcript) {
+  const prefixes = { client: 'C:', server: 'S:', note: '**' };
+  const lines = transcript.log.map(entry => {
+    const text = entry.text.split('\n').join(`\n${' '.repeat(12)}`);
+    return `${`+${entry.ms}ms`.padEnd(8)} ${prefixes[entry.type]} ${text}`;
+  });
+  if (transcript.droppedLines) lines.push(`… ${transcript.droppedLines} more lines not recorded`);
+  return `<pre class="inspect-source session-log">${escapeHtml(lines.join('\n'))}</pre>`;
+}
+
+function renderMimeNode(node) {
+  const details = [
+    node.charset && `charset=${node.charset}`,
+    node.transferEncoding,
+    node.disposition,
+    node.filename && `"${node.filename}"`,
+    node.contentId && `cid ${node.contentId}`,
+    node.boundary && `boundary "${node.boundary}"`,
+    formatSize(node.size),
+  ].filter(Boolean);
+  
+  return `
+    <li>
+      <div class="mime-part">
+        <span class="mime-number">${node.part || 'message'}</span>
+        <span class="mime-type">${escapeHtml(node.contentType)}</span>
+        <span class="mime-details">${escapeHtml(details.join(' · '))}</span>
+      </div>
+      ${node.warnings.map(w => `<div class="mime-warning">⚠ ${escapeHtml(w)}</div>`).join('')}
+      ${node.children.length ? `<ul>${node.children.map(renderMimeNode).join('')}</ul>` : ''}
+    </li>
+  `;
+}
+
 function setViewMode(mode) {
   viewMode = mode;
-  if (selectedEmailId) {
-    const email = emails.find(e => e.id === selectedEmailId);
-    showEmailDetail(email);
+  if (selectedEmail) {
+    showEmailDetail(selectedEmail);
   }
   
   // Update button states
   elements.viewHtml.classList.toggle('active', mode === 'html');
   elements.viewText.classList.toggle('active', mode === 'text');
+  elements.viewSource.classList.toggle('active', mode === 'source');
+  elements.viewHeaders.classList.toggle('active', mode === 'headers');
+  elements.viewStructure.classList.toggle('active', mode === 'structure');
+  elements.viewChecks.classList.toggle('active', mode === 'checks');
+  elements.viewSpam.classList.toggle('active', mode === 'spam');
+  elements.viewTimeline.classList.toggle('active', mode === 'timeline');
 }
 
 // Toast notification
@@ -388,12 +1611,48 @@ function formatSize(bytes) {
 
 // Event Listeners
 elements.toggleConfig.addEventListener('click', toggleConfigPanel);
+elements.toggleMetrics.addEventListener('click', toggleMetricsPanel);
+elements.resetMetrics.addEventListener('click', resetMetrics);
 elements.saveConfig.addEventListener('click', saveConfig);
+elements.addRateLimit.addEventListener('click', addRateLimit);
+elements.addFaultRule.addEventListener('click', addFaultRule);
+elements.addBounceRule.addEventListener('click', addBounceRule);
+elements.addAuthUser.addEventListener('click', addAuthUser);
+elements.addDkimKey.addEventListener('click', addDkimKey);
+elements.addDnsRecord.addEventListener('click', addDnsRecord);
 elements.clearAll.addEventListener('click', clearAllEmails);
+elements.exportEmails.addEventListener('click', exportEmails);
+elements.importEmails.addEventListener('click', () => elements.importFile.click());
+elements.importFile.addEventListener('change', () => importEmails([...elements.importFile.files]));
+elements.inboxSelect.addEventListener('change', () => switchInbox(elements.inboxSelect.value));
 elements.clearErrors.addEventListener('click', clearErrors);
-elements.searchInput.addEventListener('input', renderEmailList);
+elements.searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    emails = [];
+    fetchEmails();
+  }, 250);
+});
 elements.viewHtml.addEventListener('click', () => setViewMode('html'));
+elements.viewSource.addEventListener('click', () => setViewMode('source'));
+elements.viewHeaders.addEventListener('click', () => setViewMode('headers'));
+elements.viewStructure.addEventListener('click', () => setViewMode('structure'));
+elements.viewChecks.addEventListener('click', () => setViewMode('checks'));
+elements.viewSpam.addEventListener('click', () => setViewMode('spam'));
+elements.viewTimeline.addEventListener('click', () => setViewMode('timeline'));
 elements.viewText.addEventListener('click', () => setViewMode('text'));
+document.querySelectorAll('[data-preview-width]').forEach(button => {
+  button.addEventListener('click', () => setPreview({ width: button.dataset.previewWidth }));
+});
+document.querySelectorAll('[data-preview-scheme]').forEach(button => {
+  button.addEventListener('click', () => setPreview({ scheme: button.dataset.previewScheme }));
+});
+elements.previewBlockImages.addEventListener('click', () => setPreview({ blockImages: !preview.blockImages }));
+elements.releaseEmail.addEventListener('click', () => {
+  if (selectedEmail) {
+    releaseEmail(selectedEmail);
+  }
+});
 elements.deleteEmail.addEventListener('click', () => {
   if (selectedEmailId) {
     deleteEmail(selectedEmailId);
@@ -402,17 +1661,15 @@ elements.deleteEmail.addEventListener('click', () => {
 
 // Initialize
 async function init() {
+  updatePreviewControls();
   await Promise.all([
+    fetchInboxes(),
     fetchConfig(),
     fetchEmails(),
     fetchErrors(),
   ]);
   
-  // Poll for updates every 2 seconds
-  setInterval(async () => {
-    await fetchEmails();
-    await fetchErrors();
-  }, 2000);
+  connectEvents();
 }
 
 init();
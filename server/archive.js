@@ -0,0 +1,109 @@
+// mbox and zip formats for bulk export and import of raw messages
+import zlib from 'zlib';
+
+// "From " separator lines use the asctime() date format
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const asctime = (date) => `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2)} `
+  + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+
+// mboxrd: one message per "From sender date" line, LF line endings, and body
+// lines starting with "From " (after any number of ">") get one more ">"
+export const toMbox = (messages) => Buffer.concat(messages.map(({ raw, from, date }) => {
+  const body = raw.toString('latin1').replace(/\r\n/g, '\n').replace(/^(>*From )/gm, '>$1');
+  return Buffer.from(`From ${from || 'MAILER-DAEMON'} ${asctime(new Date(date))}\n${body}${body.endsWith('\n') ? '' : '\n'}\n`, 'latin1');
+}));
+
+// Whether an upload looks like an mbox rather than a single message
+export const isMbox = (buffer) => buffer.subarray(0, 5).toString('latin1') === 'From ';
+
+// Split an mbox into raw messages with CRLF line endings, as they would arrive over SMTP.
+// `from` is the envelope sender from the separator line.
+export const splitMbox = (buffer) => buffer.toString('latin1')
+  .split(/^From (?=\S+ )/m)
+  .filter(Boolean)
+  .map(chunk => {
+    const newline = chunk.indexOf('\n');
+    const sender = chunk.slice(0, newline).split(' ')[0];
+    const body = chunk.slice(newline + 1).replace(/\n$/, '').replace(/^>(>*From )/gm, '$1');
+    return {
+      from: sender === 'MAILER-DAEMON' ? null : sender,
+      raw: Buffer.from(body.replace(/\r?\n/g, '\r\n'), 'latin1'),
+    };
+  })
+  .filter(message => message.raw.length);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields used by zip headers (local time, 2-second precision)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Zip of deflated files: [{ name, content, date }]
+export const createZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, date }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+    const stamp = dosDateTime(new Date(date));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(stamp.time, 10);
+    local.writeUInt16LE(stamp.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(stamp.time, 12);
+    central.writeUInt16LE(stamp.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
@@ -0,0 +1,57 @@
+// SMTP authentication modes: accept anything, check a user list, or reject everyone
+import crypto from 'crypto';
+import { createHttpError } from './errors.js';
+
+// any:      every username/password is accepted (AUTH stays optional)
+// required: clients must authenticate as one of `users`
+// reject:   every AUTH attempt fails, e.g. to test expired credentials
+export const AUTH_MODES = ['any', 'required', 'reject'];
+
+// Reply texts; smtp-server puts the response code in front
+export const AUTH_FAILED_MESSAGE = '5.7.8 Authentication credentials invalid';
+export const AUTH_REQUIRED_MESSAGE = '5.7.0 Authentication required';
+
+// Validate auth settings from PUT /api/config
+export const normalizeAuth = (auth) => {
+  const mode = auth.mode || 'any';
+  const users = auth.users || [];
+
+  if (!AUTH_MODES.includes(mode)) {
+    throw createHttpError(400, `Auth mode must be one of ${AUTH_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(users)) {
+    throw createHttpError(400, '"auth.users" must be an array');
+  }
+
+  return {
+    mode,
+    users: users.map((user, index) => {
+      if (!user.username || typeof user.username !== 'string') {
+        throw createHttpError(400, `Auth user ${index + 1}: username is required`);
+      }
+      return { username: user.username, password: String(user.password ?? '') };
+    }),
+  };
+};
+
+// Compare without leaking the password length or matching prefix through timing
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Check one AUTH attempt; `reason` explains failures in the errors list
+export const checkCredentials = (auth, { username, password }) => {
+  if (auth.mode === 'reject') {
+    return { ok: false, reason: 'All authentication attempts are rejected' };
+  }
+  if (auth.mode === 'required') {
+    const user = auth.users.find(u => u.username === username);
+    if (!user) return { ok: false, reason: `Unknown user "${username}"` };
+    if (!safeEqual(user.password, password || '')) {
+      return { ok: false, reason: `Wrong password for "${username}"` };
+    }
+  }
+  return { ok: true };
+};
@@ -0,0 +1,347 @@
+// Bounce and auto-reply rules: answer stored messages with an RFC 3464 delivery
+// status notification or an RFC 3834 auto-reply, delivered back into the
+// sandbox or to a local SMTP server or HTTP endpoint, like a real provider would
+import os from 'os';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import { createHttpError } from './errors.js';
+
+// dsn:        a delivery status notification to the envelope sender
+// auto-reply: an out-of-office style reply from each matching recipient
+export const BOUNCE_TYPES = ['dsn', 'auto-reply'];
+
+// failed: a permanent bounce (5.x.x), delayed: a "still trying" warning (4.x.x)
+export const DSN_ACTIONS = ['failed', 'delayed'];
+
+// Where generated messages go: "store", smtp(s)://host:port or http(s)://url
+const DELIVERY_PROTOCOLS = ['smtp:', 'smtps:', 'http:', 'https:'];
+
+const DEFAULT_STATUS = { failed: '5.1.1', delayed: '4.4.1' };
+
+// Diagnostic-Code used when a dsn rule doesn't set its own message
+const DEFAULT_DIAGNOSTICS = {
+  '5.1.1': '550 5.1.1 The email account that you tried to reach does not exist',
+  '5.2.1': '550 5.2.1 The email account that you tried to reach is disabled',
+  '5.2.2': '552 5.2.2 The recipient\'s mailbox is full',
+  '5.7.1': '550 5.7.1 Message rejected by the recipient\'s policy',
+  '4.4.1': '421 4.4.1 Connection timed out, will keep trying',
+  '4.2.2': '452 4.2.2 The recipient\'s mailbox is full, will keep trying',
+};
+
+const DEFAULT_REPLY_SUBJECT = 'Automatic reply: {subject}';
+const DEFAULT_REPLY_TEXT = 'Thank you for your message. I am currently out of the office with limited access to email and will reply when I am back.';
+
+const REPORTING_MTA = os.hostname();
+const TIMEOUT_MS = 10000;
+// Generated messages kept for GET /api/bounces, newest first
+const MAX_HISTORY = 100;
+
+const history = [];
+
+const compile = (pattern, field, index) => {
+  if (!pattern) return;
+  try {
+    new RegExp(pattern, 'i');
+  } catch (err) {
+    throw createHttpError(400, `Bounce rule ${index + 1}: invalid ${field} pattern: ${err.message}`);
+  }
+};
+
+const checkDestination = (deliverTo, index) => {
+  if (deliverTo === 'store') return deliverTo;
+  let url;
+  try {
+    url = new URL(deliverTo);
+  } catch {
+    url = null;
+  }
+  if (!url || !DELIVERY_PROTOCOLS.includes(url.protocol)) {
+    throw createHttpError(400, `Bounce rule ${index + 1}: deliverTo must be "store", an smtp(s)://host:port or an http(s) URL`);
+  }
+  return url.toString();
+};
+
+// Validate rules from PUT /api/config and fill in defaults
+export const normalizeBounceRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw createHttpError(400, '"bounces" must be an array of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const type = rule.type || 'dsn';
+    const action = rule.action || 'failed';
+    const status = String(rule.status || DEFAULT_STATUS[action] || '');
+    const delayMs = Number(rule.delayMs ?? 0);
+    const match = rule.match || {};
+
+    if (!BOUNCE_TYPES.includes(type)) {
+      throw createHttpError(400, `Bounce rule ${index + 1}: type must be one of ${BOUNCE_TYPES.join(', ')}`);
+    }
+    if (!DSN_ACTIONS.includes(action)) {
+      throw createHttpError(400, `Bounce rule ${index + 1}: action must be one of ${DSN_ACTIONS.join(', ')}`);
+    }
+    if (!/^[45]\.\d{1,3}\.\d{1,3}$/.test(status) || status[0] !== (action === 'failed' ? '5' : '4')) {
+      throw createHttpError(400, `Bounce rule ${index + 1}: status must be a ${action === 'failed' ? '5' : '4'}.x.x enhanced status code for "${action}"`);
+    }
+    if (!(Number.isFinite(delayMs) && delayMs >= 0)) {
+      throw createHttpError(400, `Bounce rule ${index + 1}: delayMs must be a non-negative number`);
+    }
+    ['from', 'to', 'subject'].forEach(field => compile(match[field], field, index));
+
+    return {
+      id: rule.id || uuidv4(),
+      enabled: rule.enabled !== false,
+      type,
+      match: {
+        from: match.from || '',
+        to: match.to || '',
+        subject: match.subject || '',
+      },
+      // How long after the message arrived the bounce or reply is sent
+      delayMs,
+      deliverTo: checkDestination(rule.deliverTo || 'store', index),
+      // dsn only
+      action,
+      status,
+      // Return the whole message, or only its headers (RET=HDRS from the client wins)
+      returnContent: rule.returnContent === 'headers' ? 'headers' : 'full',
+      // auto-reply only; {subject} is replaced with the original subject
+      replySubject: rule.replySubject || DEFAULT_REPLY_SUBJECT,
+      // Diagnostic-Code for a dsn, the body of an auto-reply
+      message: rule.message || '',
+    };
+  });
+};
+
+const matches = (pattern, value) => !pattern || new RegExp(pattern, 'i').test(value || '');
+
+// Header lookup on the original message's parsed headers ([{ name, value }])
+const header = (headers, name) => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+
+// Auto-replies never answer other automatic mail or mailing lists (RFC 3834)
+const isAutomatic = (headers) => {
+  const submitted = header(headers, 'auto-submitted').trim().toLowerCase();
+  return (submitted && submitted !== 'no') || /^(bulk|list|junk)$/i.test(header(headers, 'precedence').trim());
+};
+
+// The client can ask for no notifications, or only some kinds, with RCPT TO NOTIFY=
+const wantsNotification = (recipient, action) => {
+  const notify = (recipient.notify || []).map(value => value.toUpperCase());
+  if (!notify.length) return true;
+  if (notify.includes('NEVER')) return false;
+  return notify.includes(action === 'failed' ? 'FAILURE' : 'DELAY');
+};
+
+// Non-ASCII header values as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const wrapBase64 = (text) => Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+const newMessageId = () => `<${uuidv4()}@${REPORTING_MTA}>`;
+
+// Multipart/report DSN with the human-readable part, the machine-readable
+// delivery-status part and the original message (or its headers)
+const buildDsn = (rule, { raw, head, sender, recipients, receivedAt, envid, ret }) => {
+  const boundary = `dsn-${crypto.randomBytes(12).toString('hex')}`;
+  const diagnostic = rule.message || DEFAULT_DIAGNOSTICS[rule.status] || `${rule.action === 'failed' ? 550 : 450} ${rule.status} Delivery ${rule.action}`;
+  const headersOnly = ret ? ret.toUpperCase() === 'HDRS' : rule.returnContent === 'headers';
+  const failed = rule.action === 'failed';
+
+  const summary = failed
+    ? `This is the mail system at host ${REPORTING_MTA}.\r\n\r\nI'm sorry to have to inform you that your message could not be delivered to one or more recipients.`
+    : `This is the mail system at host ${REPORTING_MTA}.\r\n\r\nYour message could not be delivered yet to one or more recipients. Delivery will be retried; you do not need to resend it.`;
+
+  const perRecipient = recipients.map(recipient => [
+    ...(recipient.orcpt ? [`Original-Recipient: ${recipient.orcpt}`] : []),
+    `Final-Recipient: rfc822; ${recipient.address}`,
+    `Action: ${rule.action}`,
+    `Status: ${rule.status}`,
+    `Remote-MTA: dns; ${recipient.address.split('@').pop()}`,
+    `Diagnostic-Code: smtp; ${diagnostic}`,
+    ...(failed ? [] : [`Will-Retry-Until: ${new Date(Date.now() + 5 * 24 * 3600 * 1000).toUTCString()}`]),
+  ].join('\r\n'));
+
+  const lines = [
+    `From: Mail Delivery System <MAILER-DAEMON@${REPORTING_MTA}>`,
+    `To: <${sender}>`,
+    `Subject: ${failed ? 'Undelivered Mail Returned to Sender' : 'Delayed Mail (still being retried)'}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${newMessageId()}`,
+    'Auto-Submitted: auto-replied',
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/report; report-type=delivery-status; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    summary,
+    '',
+    ...recipients.map(recipient => `<${recipient.address}>: ${diagnostic}`),
+    '',
+    `--${boundary}`,
+    'Content-Type: message/delivery-status',
+    '',
+    `Reporting-MTA: dns; ${REPORTING_MTA}`,
+    ...(envid ? [`Original-Envelope-Id: ${envid}`] : []),
+    `Arrival-Date: ${new Date(receivedAt).toUTCString()}`,
+    '',
+    perRecipient.join('\r\n\r\n'),
+    '',
+    `--${boundary}`,
+    `Content-Type: ${headersOnly ? 'text/rfc822-headers' : 'message/rfc822'}`,
+    '',
+  ];
+
+  return Buffer.concat([
+    Buffer.from(lines.join('\r\n') + '\r\n'),
+    headersOnly ? head : raw,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+};
+
+// Plain-text reply from one recipient, threaded onto the original message
+const buildAutoReply = (rule, { recipient, sender, subject, messageId, references }) => {
+  const lines = [
+    `From: <${recipient.address}>`,
+    `To: <${sender}>`,
+    `Subject: ${encodeHeader(rule.replySubject.replace('{subject}', subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${newMessageId()}`,
+    ...(messageId ? [`In-Reply-To: ${messageId}`, `References: ${[references, messageId].filter(Boolean).join(' ')}`] : []),
+    'Auto-Submitted: auto-replied',
+    'X-Auto-Response-Suppress: All',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(rule.message || DEFAULT_REPLY_TEXT),
+    '',
+  ];
+  return Buffer.from(lines.join('\r\n'));
+};
+
+// Messages to send for a stored message: [{ rule, raw, from, to, recipients }].
+// `message` has the raw source and parsed headers, the envelope (recipients
+// with their DSN NOTIFY/ORCPT parameters) and the client's RET/ENVID.
+export const planBounces = (rules, message) => {
+  const { sender, recipients, headers } = message;
+  // Nothing is ever sent back to the null sender, so bounces can't loop
+  if (!sender) return [];
+
+  const subject = header(headers, 'subject');
+  const planned = [];
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    if (!matches(rule.match.from, sender) || !matches(rule.match.subject, subject)) return;
+    const matched = recipients.filter(recipient => matches(rule.match.to, recipient.address));
+
+    if (rule.type === 'dsn') {
+      const notified = matched.filter(recipient => wantsNotification(recipient, rule.action));
+      if (!notified.length) return;
+      planned.push({ rule, from: '', to: sender, recipients: notified.map(r => r.address), raw: buildDsn(rule, { ...message, recipients: notified }) });
+    } else if (!isAutomatic(headers)) {
+      matched.forEach(recipient => planned.push({
+        rule,
+        // RFC 3834: auto-replies go out with a null envelope sender too
+        from: '',
+        to: sender,
+        recipients: [recipient.address],
+        raw: buildAutoReply(rule, {
+          recipient,
+          sender,
+          subject,
+          messageId: header(headers, 'message-id'),
+          references: header(headers, 'references'),
+        }),
+      }));
+    }
+  });
+  return planned;
+};
+
+const deliverSmtp = async (url, raw, envelope) => {
+  const transport = nodemailer.createTransport({
+    host: url.hostname,
+    port: Number(url.port) || (url.protocol === 'smtps:' ? 465 : 25),
+    secure: url.protocol === 'smtps:',
+    // Local test servers usually have self-signed certificates
+    tls: { rejectUnauthorized: false },
+    connectionTimeout: TIMEOUT_MS,
+    greetingTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+  try {
+    const info = await transport.sendMail({ envelope, raw });
+    return info.response;
+  } finally {
+    transport.close();
+  }
+};
+
+const deliverHttp = async (url, raw, envelope, type) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'message/rfc822',
+      'User-Agent': 'sandbox-mailer-bounces',
+      'X-Sandbox-Bounce-Type': type,
+      'X-Sandbox-Mail-From': envelope.from,
+      'X-Sandbox-Rcpt-To': envelope.to,
+    },
+    body: raw,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return `HTTP ${response.status}`;
+};
+
+const deliver = async (entry, raw, { storeLocally }) => {
+  const envelope = { from: entry.from, to: entry.to };
+  try {
+    if (entry.deliverTo === 'store') {
+      const email = await storeLocally(raw, envelope);
+      entry.storedEmailId = email.id;
+      entry.response = `Stored as ${email.id}`;
+    } else {
+      const url = new URL(entry.deliverTo);
+      entry.response = url.protocol.startsWith('smtp')
+        ? await deliverSmtp(url, raw, envelope)
+        : await deliverHttp(url, raw, envelope, entry.type);
+    }
+    entry.status = 'delivered';
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err.response || err.cause?.message || err.message;
+  }
+  entry.deliveredAt = new Date().toISOString();
+};
+
+// Send the bounces and auto-replies a stored message triggers, each after its
+// rule's delay. `storeLocally(raw, envelope)` stores one into the sandbox and
+// resolves with the email.
+export const sendBounces = (rules, message, { emailId, inbox, storeLocally }) => {
+  planBounces(rules, message).forEach(({ rule, raw, from, to, recipients }) => {
+    const entry = {
+      id: uuidv4(),
+      ruleId: rule.id,
+      type: rule.type,
+      emailId,
+      inbox,
+      from,
+      to,
+      recipients,
+      deliverTo: rule.deliverTo,
+      status: 'pending',
+      response: null,
+      error: null,
+      storedEmailId: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+    };
+    history.unshift(entry);
+    if (history.length > MAX_HISTORY) history.pop();
+    setTimeout(() => deliver(entry, raw, { storeLocally }), rule.delayMs).unref();
+  });
+};
+
+export const listBounces = () => history;
@@ -0,0 +1,233 @@
+// Compatibility and quality checks for captured HTML emails
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mimeTree, hasTextPart } from './mime.js';
+
+// Bundled client support data (see email-support.json)
+const DATASET = JSON.parse(fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), 'email-support.json'), 'utf8'));
+
+// Gmail hides everything after the first 102KB of HTML behind "View entire message"
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const CLIP_WARNING_BYTES = 90 * 1024;
+
+// Embedded images bigger than this make the email slow to open
+const IMAGE_SIZE_LIMIT = 200 * 1024;
+
+const MAX_SAMPLES = 3;
+const SEVERITIES = ['error', 'warning', 'info'];
+const LOCAL_HOSTS = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1\])$|\.(test|local|localhost|invalid)$/i;
+
+const issue = (fields, matches = []) => ({
+  count: matches.length || 1,
+  samples: [...new Set(matches)].slice(0, MAX_SAMPLES),
+  ...fields,
+});
+
+const listNames = (ids) => ids.map(id => DATASET.clients[id]).join(', ');
+
+// Conditional comments (<!--[if mso]>) target specific clients, so skip them
+const stripComments = (html) => html.replace(/<!--[\s\S]*?-->/g, '');
+
+const styleBlocks = (html) => [...html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)].map(m => m[1].replace(/\/\*[\s\S]*?\*\//g, ''));
+
+// Declarations from style="" attributes and the innermost { } blocks of <style>,
+// so media query conditions aren't mistaken for properties
+const declarations = (html, blocks) => {
+  const inline = [...html.matchAll(/\sstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)].map(m => m[1] ?? m[2]);
+  const rules = blocks.flatMap(css => [...css.matchAll(/\{([^{}]*)\}/g)].map(m => m[1]));
+  return [...inline, ...rules].flatMap(body => [...body.matchAll(/([a-z-]+)\s*:\s*([^;]+)/gi)]
+    .map(([, property, value]) => ({ property: property.toLowerCase(), value: value.trim() })));
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// Occurrences of one dataset feature, as short samples
+const findFeature = (feature, { html, blocks, decls }) => {
+  switch (feature.kind) {
+    case 'css': {
+      const property = feature.property && new RegExp(`^(${feature.property})$`, 'i');
+      const value = feature.value && new RegExp(feature.value, 'i');
+      return decls
+        .filter(d => (!property || property.test(d.property)) && (!value || value.test(d.value)))
+        .map(d => `${d.property}: ${d.value}`);
+    }
+    case 'at-rule':
+      return blocks.flatMap(css => [...css.matchAll(new RegExp(`@(${feature.name})\\b[^{;]*`, 'gi'))].map(m => m[0].trim()));
+    case 'element': {
+      const attributes = feature.attributes && new RegExp(feature.attributes, 'i');
+      return [...html.matchAll(new RegExp(`<(${feature.name})\\b[^>]*>`, 'gi'))]
+        .filter(m => !attributes || attributes.test(m[0]))
+        .map(m => m[0].slice(0, 80));
+    }
+    case 'attribute':
+      return [...html.matchAll(new RegExp(`<[a-z][^>]*\\s(${feature.name})\\s*=[^>]*>`, 'gi'))].map(m => m[0].slice(0, 80));
+    default:
+      return [];
+  }
+};
+
+const compatibilityIssues = (context) => DATASET.features.flatMap(feature => {
+  const matches = findFeature(feature, context);
+  if (!matches.length) return [];
+
+  const unsupported = Object.keys(DATASET.clients).filter(id => feature.support[id] === 'n');
+  const partial = Object.keys(DATASET.clients).filter(id => feature.support[id] === 'a');
+  if (!unsupported.length && !partial.length) return [];
+
+  const parts = [];
+  if (unsupported.length) parts.push(`not supported in ${listNames(unsupported)}`);
+  if (partial.length) parts.push(`partially supported in ${listNames(partial)}`);
+
+  return [issue({
+    id: feature.id,
+    category: 'compatibility',
+    severity: unsupported.length ? 'warning' : 'info',
+    title: feature.title,
+    message: `${feature.title} is ${parts.join('; ')}`,
+    note: feature.note || null,
+    support: feature.support,
+  }, matches)];
+});
+
+const accessibilityIssues = ({ html }) => {
+  const missing = [...html.matchAll(/<img\b[^>]*>/gi)].map(m => m[0]).filter(tag => attribute(tag, 'alt') === null);
+  if (!missing.length) return [];
+  return [issue({
+    id: 'img-alt',
+    category: 'accessibility',
+    severity: 'warning',
+    title: 'Missing alt text',
+    message: `${missing.length} image${missing.length === 1 ? '' : 's'} without an alt attribute (use alt="" for decorative images)`,
+  }, missing.map(tag => attribute(tag, 'src') || tag.slice(0, 80)))];
+};
+
+const sizeIssues = (email, htmlSize) => {
+  const issues = [];
+  const kb = (bytes) => `${Math.round(bytes / 1024)}KB`;
+
+  if (htmlSize > GMAIL_CLIP_BYTES) {
+    issues.push(issue({
+      id: 'gmail-clipping',
+      category: 'size',
+      severity: 'error',
+      title: 'Gmail will clip this email',
+      message: `The HTML is ${kb(htmlSize)}; Gmail clips messages over ${kb(GMAIL_CLIP_BYTES)}`,
+    }));
+  } else if (htmlSize > CLIP_WARNING_BYTES) {
+    issues.push(issue({
+      id: 'gmail-clipping',
+      category: 'size',
+      severity: 'warning',
+      title: 'Close to Gmail\'s clipping limit',
+      message: `The HTML is ${kb(htmlSize)}; Gmail clips messages over ${kb(GMAIL_CLIP_BYTES)}`,
+    }));
+  }
+
+  const large = email.attachments.filter(a => a.inline && a.size > IMAGE_SIZE_LIMIT);
+  if (large.length) {
+    issues.push(issue({
+      id: 'large-images',
+      category: 'size',
+      severity: 'warning',
+      title: 'Large embedded images',
+      message: `${large.length} inline image${large.length === 1 ? ' is' : 's are'} over ${kb(IMAGE_SIZE_LIMIT)}`,
+    }, large.map(a => `${a.filename} (${kb(a.size)})`)));
+  }
+
+  return issues;
+};
+
+// Group link problems by kind so a template with 40 relative links is one issue
+const linkIssues = (email, { html }) => {
+  const groups = {
+    'link-javascript': { severity: 'error', title: 'javascript: links', message: 'Links with javascript: URLs are removed by every client', matches: [] },
+    'link-malformed': { severity: 'error', title: 'Malformed links', message: 'These URLs cannot be parsed', matches: [] },
+    'link-relative': { severity: 'error', title: 'Relative links', message: 'Relative URLs have no base in an email; use absolute URLs', matches: [] },
+    'link-local': { severity: 'warning', title: 'Links to local hosts', message: 'These links point to a development host (check APP_URL)', matches: [] },
+    'link-empty': { severity: 'warning', title: 'Empty links', message: 'Links with an empty or "#" href go nowhere', matches: [] },
+    'image-relative': { severity: 'error', title: 'Relative image URLs', message: 'Images with relative URLs never load in an email client', matches: [] },
+    'image-cid': { severity: 'error', title: 'Broken inline images', message: 'cid: references with no matching inline part', matches: (email.unresolvedCids || []).map(cid => `cid:${cid}`) },
+  };
+
+  [...html.matchAll(/<a\b[^>]*>/gi)].forEach(([tag]) => {
+    const href = attribute(tag, 'href');
+    if (href === null) return;
+    const url = href.trim();
+
+    if (!url || url === '#') {
+      groups['link-empty'].matches.push(tag.slice(0, 80));
+    } else if (/^javascript:/i.test(url)) {
+      groups['link-javascript'].matches.push(url);
+    } else if (/^(mailto|tel|sms|cid):/i.test(url) || url.startsWith('#')) {
+      // Fine as they are
+    } else if (!/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.startsWith('//')) {
+      groups['link-relative'].matches.push(url);
+    } else {
+      try {
+        const { hostname } = new URL(url.startsWith('//') ? `https:${url}` : url);
+        if (LOCAL_HOSTS.test(hostname)) groups['link-local'].matches.push(url);
+      } catch {
+        groups['link-malformed'].matches.push(url);
+      }
+    }
+  });
+
+  [...html.matchAll(/<img\b[^>]*>/gi)].forEach(([tag]) => {
+    const src = (attribute(tag, 'src') || '').trim();
+    if (src && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) groups['image-relative'].matches.push(src);
+  });
+
+  return Object.entries(groups)
+    .filter(([, group]) => group.matches.length)
+    .map(([id, { matches, ...fields }]) => issue({ id, category: 'links', ...fields }, matches));
+};
+
+// Lint an email's HTML body; `raw` is the original source for the MIME structure
+export const checkEmail = (email, raw) => {
+  const html = stripComments(email.html || '');
+  const htmlSize = Buffer.byteLength(email.html || '');
+  const issues = [];
+
+  if (!html.trim()) {
+    issues.push(issue({
+      id: 'no-html',
+      category: 'structure',
+      severity: 'info',
+      title: 'No HTML body',
+      message: 'This is a plain-text email; there is no HTML to check',
+    }));
+  } else {
+    const blocks = styleBlocks(html);
+    const context = { html, blocks, decls: declarations(html, blocks) };
+    issues.push(
+      ...compatibilityIssues(context),
+      ...accessibilityIssues(context),
+      ...sizeIssues(email, htmlSize),
+      ...linkIssues(email, context),
+    );
+
+    if (raw && !hasTextPart(mimeTree(raw))) {
+      issues.push(issue({
+        id: 'no-text-part',
+        category: 'structure',
+        severity: 'warning',
+        title: 'No plain-text part',
+        message: 'Send a text/plain alternative; some clients show nothing else and spam filters penalise HTML-only email',
+      }));
+    }
+  }
+
+  issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return {
+    htmlSize,
+    clipLimit: GMAIL_CLIP_BYTES,
+    clients: DATASET.clients,
+    summary: Object.fromEntries(SEVERITIES.map(severity => [severity, issues.filter(i => i.severity === severity).length])),
+    issues,
+  };
+};
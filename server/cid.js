@@ -0,0 +1,38 @@
+// Content-ID references (<img src="cid:...">) between the HTML body and inline parts
+
+const CID_PATTERN = /\bcid:([^'"\s)>]{1,256})/gi;
+
+// cid: URLs are URL-encoded Content-IDs without the angle brackets (RFC 2392)
+const normalizeCid = (cid) => {
+  let value = cid;
+  try {
+    value = decodeURIComponent(cid);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+  return value.trim().replace(/^<|>$/g, '').toLowerCase();
+};
+
+// Every Content-ID the HTML refers to, normalized
+const referencedCids = (html) => new Set([...(html || '').matchAll(CID_PATTERN)].map(match => normalizeCid(match[1])));
+
+// Mark attachments the HTML embeds as inline and list references with no matching part
+export const resolveInlineParts = (html, attachments) => {
+  const referenced = referencedCids(html);
+  const available = new Set(attachments.filter(a => a.cid).map(a => normalizeCid(a.cid)));
+
+  return {
+    attachments: attachments.map(a => ({ ...a, inline: Boolean(a.cid) && referenced.has(normalizeCid(a.cid)) })),
+    unresolvedCids: [...referenced].filter(cid => !available.has(cid)),
+  };
+};
+
+// The HTML with every resolvable cid: reference pointing at `urlFor(attachment)`;
+// the rest are left alone
+export const linkInlineParts = (html, attachments, urlFor) => {
+  const parts = new Map(attachments.filter(a => a.cid).map(a => [normalizeCid(a.cid), a]));
+  return (html || '').replace(CID_PATTERN, (match, cid) => {
+    const attachment = parts.get(normalizeCid(cid));
+    return attachment ? urlFor(attachment) : match;
+  });
+};
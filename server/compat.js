@@ -0,0 +1,217 @@
+// MailHog (v2) and Mailpit (v1) API response shapes and search syntax, so
+// their client libraries and test helpers work against sandbox-mailer
+import { buildFilter, MAX_LIMIT } from './query.js';
+import { splitMessage, parseHeaders, parseStructuredHeader, splitMultipart } from './mime.js';
+import { createHttpError } from './errors.js';
+
+// Page size both tools use when no limit is given
+const DEFAULT_PAGE_SIZE = 50;
+// Nested multiparts deeper than this are returned unexpanded
+const MAX_MIME_DEPTH = 20;
+const SNIPPET_LENGTH = 250;
+
+// Offset paging (?start=0&limit=50) as used by both APIs
+export const paginate = (emails, { start, limit }) => {
+  const offset = start === undefined ? 0 : Number(start);
+  const count = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createHttpError(400, '"start" must be a non-negative integer');
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LIMIT) {
+    throw createHttpError(400, `"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return emails.slice(offset, offset + count);
+};
+
+// Header list → { Name: [values] } in the order they appear
+export const headerMap = (headers) => headers.reduce((map, { name, value }) => {
+  (map[name] = map[name] || []).push(value);
+  return map;
+}, {});
+
+// mailparser keeps address headers as objects and Date as a Date
+const headerText = (email, name) => {
+  const value = email.headers?.[name];
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return value.text || '';
+  return value ? String(value) : '';
+};
+
+// "user@example.com" → MailHog's SMTP path
+const toPath = (address = '') => {
+  const at = address.lastIndexOf('@');
+  return {
+    Relays: null,
+    Mailbox: at === -1 ? address : address.slice(0, at),
+    Domain: at === -1 ? '' : address.slice(at + 1),
+    Params: '',
+  };
+};
+
+const mailHogMime = (headers, body, depth) => {
+  const type = parseStructuredHeader(headers.find(h => h.name.toLowerCase() === 'content-type')?.value);
+  if (!type.value.startsWith('multipart/') || !type.params.boundary || depth >= MAX_MIME_DEPTH) return null;
+  return { Parts: splitMultipart(body, type.params.boundary).parts.map(part => mailHogPart(part, depth + 1)) };
+};
+
+const mailHogPart = (buffer, depth) => {
+  const { head, body } = splitMessage(buffer);
+  const headers = parseHeaders(head);
+  return {
+    Headers: headerMap(headers),
+    Body: body.toString('utf8'),
+    Size: body.length,
+    MIME: mailHogMime(headers, body, depth),
+  };
+};
+
+// A stored email as a MailHog v2 message; bodies are returned undecoded, like MailHog does
+export const toMailHogMessage = (email, raw = Buffer.alloc(0)) => {
+  const { head, body } = splitMessage(raw);
+  const headers = parseHeaders(head);
+  const from = email.envelope?.from && email.envelope.from !== 'unknown' ? email.envelope.from : '';
+  const to = email.envelope?.to || [];
+
+  return {
+    ID: email.id,
+    From: toPath(from),
+    To: to.map(toPath),
+    Content: {
+      Headers: headerMap(headers),
+      Body: body.toString('utf8'),
+      Size: raw.length,
+      MIME: null,
+    },
+    Created: email.receivedAt,
+    MIME: mailHogMime(headers, body, 0),
+    Raw: {
+      From: from,
+      To: to,
+      Data: raw.toString('utf8'),
+      Helo: '',
+    },
+  };
+};
+
+// MailHog's /api/v2/search kinds; from and to also match the envelope
+const MAILHOG_SEARCH_KINDS = ['from', 'to', 'containing'];
+
+export const mailHogSearchFilter = ({ kind, query = '' }) => {
+  if (!MAILHOG_SEARCH_KINDS.includes(kind)) {
+    throw createHttpError(400, `"kind" must be one of ${MAILHOG_SEARCH_KINDS.join(', ')}`);
+  }
+  if (kind === 'containing') return buildFilter({ q: query });
+
+  const filter = buildFilter({ [kind]: query });
+  const term = query.toLowerCase();
+  return (email) => {
+    const envelope = kind === 'from' ? [email.envelope?.from] : email.envelope?.to || [];
+    return filter(email) || envelope.some(address => (address || '').toLowerCase().includes(term));
+  };
+};
+
+// Envelope addresses stand in for a missing From or To header, as in the list API
+const ENVELOPE_FALLBACK = {
+  from: (envelope) => (envelope.from && envelope.from !== 'unknown' ? [{ address: envelope.from }] : []),
+  to: (envelope) => (envelope.to || []).map(address => ({ address })),
+};
+
+// Address headers as mailparser parsed them, with groups flattened
+const toAddresses = (email, name) => {
+  const value = email.headers?.[name]?.value;
+  const addresses = Array.isArray(value)
+    ? value.flatMap(entry => entry.group || [entry])
+    : ENVELOPE_FALLBACK[name]?.(email.envelope || {}) || [];
+  return addresses.map(({ name: displayName, address }) => ({ Name: displayName || '', Address: address || '' }));
+};
+
+const messageId = (email) => headerText(email, 'message-id').replace(/^<|>$/g, '');
+
+const toPart = (attachment) => ({
+  PartID: attachment.id,
+  FileName: attachment.filename,
+  ContentType: attachment.contentType,
+  ContentID: attachment.cid || '',
+  Size: attachment.size,
+});
+
+// sandbox-mailer has no read state, so every message counts as unread
+export const toMailpitSummary = (email) => ({
+  ID: email.id,
+  MessageID: messageId(email),
+  Read: false,
+  From: toAddresses(email, 'from')[0] || { Name: '', Address: '' },
+  To: toAddresses(email, 'to'),
+  Cc: toAddresses(email, 'cc'),
+  Bcc: toAddresses(email, 'bcc'),
+  ReplyTo: toAddresses(email, 'reply-to'),
+  Subject: email.subject,
+  Created: email.receivedAt,
+  Tags: [],
+  Size: email.size,
+  Attachments: email.attachments.filter(a => !a.inline).length,
+  Snippet: email.text.replace(/\s+/g, ' ').trim().substring(0, SNIPPET_LENGTH),
+});
+
+// mailparser turns List-Unsubscribe into an object, so those headers come from the source
+export const toMailpitMessage = (email, raw = Buffer.alloc(0)) => {
+  const headers = parseHeaders(splitMessage(raw).head);
+  const rawHeader = (name) => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+  const unsubscribe = rawHeader('list-unsubscribe');
+  const date = Date.parse(headerText(email, 'date'));
+
+  return {
+    ID: email.id,
+    MessageID: messageId(email),
+    From: toAddresses(email, 'from')[0] || { Name: '', Address: '' },
+    To: toAddresses(email, 'to'),
+    Cc: toAddresses(email, 'cc'),
+    Bcc: toAddresses(email, 'bcc'),
+    ReplyTo: toAddresses(email, 'reply-to'),
+    ReturnPath: email.envelope?.from && email.envelope.from !== 'unknown' ? email.envelope.from : '',
+    Subject: email.subject,
+    ListUnsubscribe: {
+      Header: unsubscribe,
+      Links: [...unsubscribe.matchAll(/<([^>]+)>/g)].map(match => match[1]),
+      Errors: '',
+      HeaderPost: rawHeader('list-unsubscribe-post'),
+    },
+    Date: Number.isNaN(date) ? email.receivedAt : new Date(date).toISOString(),
+    Tags: [],
+    Text: email.text,
+    HTML: email.html,
+    Size: email.size,
+    Inline: email.attachments.filter(a => a.inline).map(toPart),
+    Attachments: email.attachments.filter(a => !a.inline).map(toPart),
+  };
+};
+
+// Mailpit search prefixes that map straight onto the list API filters
+const MAILPIT_FILTERS = {
+  from: (value) => ({ from: value }),
+  to: (value) => ({ to: value }),
+  cc: (value) => ({ to: value }),
+  bcc: (value) => ({ to: value }),
+  subject: (value) => ({ subject: value }),
+  after: (value) => ({ since: value }),
+  before: (value) => ({ until: value }),
+};
+
+const mailpitTerm = (prefix, value) => {
+  if (MAILPIT_FILTERS[prefix]) return buildFilter(MAILPIT_FILTERS[prefix](value));
+  if (prefix === 'message-id') return (email) => messageId(email) === value.replace(/^<|>$/g, '');
+  if (prefix === 'has' && /^attachments?$/i.test(value)) return buildFilter({ hasAttachments: 'true' });
+  // Nothing is ever read or tagged
+  if (prefix === 'is') return () => value.toLowerCase() === 'unread';
+  if (prefix === 'tag') return () => false;
+  return buildFilter({ q: prefix ? `${prefix}:${value}` : value });
+};
+
+// Mailpit's search syntax: words, "quoted phrases", prefix:value and -negation, all ANDed
+export const mailpitSearchFilter = (search = '') => {
+  const checks = [...String(search).matchAll(/(-?)(?:([a-z-]+):)?("[^"]*"|\S+)/gi)].map(([, negate, prefix, value]) => {
+    const check = mailpitTerm(prefix?.toLowerCase(), value.replace(/^"(.*)"$/, '$1'));
+    return negate ? (email) => !check(email) : check;
+  });
+  return (email) => checks.every(check => check(email));
+};
@@ -0,0 +1,286 @@
+// Startup configuration: CLI flags > environment variables > config file > defaults
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { normalizeFaultRules } from './faults.js';
+import { normalizeRateLimit } from './ratelimit.js';
+import { normalizeAuth } from './auth.js';
+import { normalizeDkim } from './dkim.js';
+import { normalizeRelay } from './relay.js';
+import { normalizeWebhooks } from './webhooks.js';
+import { normalizeLatency } from './latency.js';
+import { normalizePolicy } from './policy.js';
+import { normalizeBounceRules } from './bounces.js';
+import { normalizeInboxRules, normalizeInboxes } from './inboxes.js';
+import { normalizeRetention } from './storage.js';
+import { writeFileAtomic } from './files.js';
+
+// Looked up in the working directory when no --config/MAILER_CONFIG is given
+const DEFAULT_CONFIG_FILES = ['mailer.config.json', 'mailer.config.yaml', 'mailer.config.yml'];
+
+// Mailbox settings that can live in the file and change through PUT /api/config
+export const PERSISTED_KEYS = ['rateLimit', 'latency', 'retention', 'inboxRules', 'inboxes', 'faults', 'auth', 'tls', 'dkim', 'relay', 'webhooks', 'policy', 'bounces'];
+
+// Listener and storage settings, fixed until restart. Each can be set under
+// `server` in the config file, by environment variable or by CLI flag.
+const SERVER_OPTIONS = {
+  host: { flag: 'host', env: 'MAILER_HOST', type: 'string', default: '' },
+  smtpPort: { flag: 'smtp-port', env: 'MAILER_SMTP_PORT', type: 'port', default: 2525 },
+  httpPort: { flag: 'http-port', env: 'MAILER_HTTP_PORT', type: 'port', default: 8025 },
+  storage: { flag: 'storage', env: 'MAILER_STORAGE', type: 'string', default: 'disk' },
+  dataDir: { flag: 'data-dir', env: 'MAILER_DATA_DIR', type: 'path', default: null },
+  starttls: { flag: 'starttls', env: 'MAILER_STARTTLS', type: 'boolean', default: false },
+  smtps: { flag: 'smtps', env: 'MAILER_SMTPS', type: 'boolean', default: false },
+  smtpsPort: { flag: 'smtps-port', env: 'MAILER_SMTPS_PORT', type: 'port', default: 465 },
+  tlsCert: { flag: 'tls-cert', env: 'MAILER_TLS_CERT', type: 'path', default: null },
+  tlsKey: { flag: 'tls-key', env: 'MAILER_TLS_KEY', type: 'path', default: null },
+  zoneFile: { flag: 'zone-file', env: 'MAILER_ZONE_FILE', type: 'path', default: null },
+  writeBack: { flag: 'write-config', env: 'MAILER_WRITE_CONFIG', type: 'boolean', default: false },
+};
+
+export const USAGE = `Usage: sandbox-mailer [options]
+
+Options:
+  -c, --config <file>     JSON or YAML config file (default: ./mailer.config.{json,yaml,yml})
+      --host <address>    Address to bind the SMTP and HTTP servers to (default: all interfaces)
+      --smtp-port <port>  SMTP port (default: 2525)
+      --http-port <port>  Web UI and API port (default: 8025)
+      --storage <driver>  disk or memory (default: disk)
+      --data-dir <dir>    Directory for the disk storage and generated certificates
+      --starttls          Offer STARTTLS on the SMTP port
+      --smtps             Start an implicit TLS listener
+      --smtps-port <port> Implicit TLS port (default: 465)
+      --tls-cert <file>   TLS certificate (default: self-signed)
+      --tls-key <file>    TLS private key
+      --zone-file <file>  BIND-style zone file with DKIM, SPF and DMARC records
+      --write-config      Save changes made through PUT /api/config to the config file
+  -h, --help              Show this help`;
+
+// Invalid flags, variables or files stop the server at startup
+const createConfigError = (message) => new Error(message);
+
+const parseValue = (option, value, source) => {
+  if (option.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no', ''].includes(String(value).toLowerCase())) return false;
+    throw createConfigError(`${source} must be true or false, got "${value}"`);
+  }
+  if (option.type === 'port') {
+    const port = Number(value);
+    if (!(Number.isInteger(port) && port > 0 && port < 65536)) {
+      throw createConfigError(`${source} must be a port number, got "${value}"`);
+    }
+    return port;
+  }
+  return String(value);
+};
+
+const isYaml = (file) => /\.ya?ml$/i.test(file);
+
+const readConfigFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    const data = isYaml(file) ? YAML.parse(text) : JSON.parse(text);
+    return data || {};
+  } catch (err) {
+    throw createConfigError(`Could not parse ${file}: ${err.message}`);
+  }
+};
+
+// Check mailbox settings from the file the same way PUT /api/config does
+const normalizeSettings = (settings, file) => {
+  const normalized = {};
+  try {
+    PERSISTED_KEYS.forEach(key => {
+      if (settings[key] !== undefined) normalized[key] = settings[key];
+    });
+    if (settings.faults) normalized.faults = normalizeFaultRules(settings.faults);
+    if (settings.rateLimit) normalized.rateLimit = normalizeRateLimit(settings.rateLimit);
+    if (settings.auth) normalized.auth = normalizeAuth(settings.auth);
+    if (settings.dkim) normalized.dkim = normalizeDkim(settings.dkim);
+    if (settings.relay) normalized.relay = normalizeRelay(settings.relay);
+    if (settings.webhooks) normalized.webhooks = normalizeWebhooks(settings.webhooks);
+    if (settings.latency) normalized.latency = normalizeLatency(settings.latency);
+    if (settings.policy) normalized.policy = normalizePolicy(settings.policy);
+    if (settings.bounces) normalized.bounces = normalizeBounceRules(settings.bounces);
+    if (settings.retention) normalized.retention = normalizeRetention(settings.retention);
+    if (settings.inboxRules) normalized.inboxRules = normalizeInboxRules(settings.inboxRules);
+    if (settings.inboxes) normalized.inboxes = normalizeInboxes(settings.inboxes, normalized);
+  } catch (err) {
+    throw createConfigError(`${file}: ${err.message}`);
+  }
+  return normalized;
+};
+
+// Resolve startup options and mailbox settings.
+// Returns { server, settings, file } or { help: true } for --help.
+export const loadConfig = (argv = process.argv.slice(2), env = process.env) => {
+  const flagOptions = {
+    config: { type: 'string', short: 'c' },
+    help: { type: 'boolean', short: 'h' },
+  };
+  Object.values(SERVER_OPTIONS).forEach(option => {
+    flagOptions[option.flag] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+  });
+
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({ args: argv, options: flagOptions }));
+  } catch (err) {
+    throw createConfigError(err.message);
+  }
+  if (flags.help) return { help: true };
+
+  let file = flags.config || env.MAILER_CONFIG || DEFAULT_CONFIG_FILES.find(name => fs.existsSync(name)) || null;
+  file = file && path.resolve(file);
+
+  const fileExists = Boolean(file) && fs.existsSync(file);
+  const fileData = fileExists ? readConfigFile(file) : {};
+
+  const server = {};
+  Object.entries(SERVER_OPTIONS).forEach(([name, option]) => {
+    let value = option.default;
+    const fromFile = fileData.server?.[name];
+    if (fromFile !== undefined && fromFile !== null) {
+      value = parseValue(option, fromFile, `server.${name} in ${file}`);
+      // Paths in the file are relative to the file itself
+      if (option.type === 'path') value = path.resolve(path.dirname(file), value);
+    }
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      value = parseValue(option, env[option.env], option.env);
+    }
+    if (flags[option.flag] !== undefined) {
+      value = parseValue(option, flags[option.flag], `--${option.flag}`);
+    }
+    if (option.type === 'path' && value) value = path.resolve(value);
+    server[name] = value;
+  });
+
+  if (server.writeBack && !file) {
+    throw createConfigError('--write-config needs a config file (--config or MAILER_CONFIG)');
+  }
+  // A missing file is only fine when write-back is about to create it
+  if (file && !fileExists && !server.writeBack) {
+    throw createConfigError(`Config file not found: ${file}`);
+  }
+
+  const settings = normalizeSettings(fileData, file);
+  if (env.MAILER_TLS_REQUIRED !== undefined) {
+    settings.tls = { ...settings.tls, required: parseValue({ type: 'boolean' }, env.MAILER_TLS_REQUIRED, 'MAILER_TLS_REQUIRED') };
+  }
+
+  return { server, settings, file };
+};
+
+// Stand-in for secrets in config copies sent to API clients, the UI's event
+// stream or the log
+const REDACTED = '********';
+
+const mask = (value) => (value ? REDACTED : value);
+
+// A webhook without its signing secret
+export const redactWebhook = (hook) => ({ ...hook, secret: mask(hook.secret) });
+
+// The config without relay and SMTP AUTH passwords or webhook signing secrets
+export const redactConfig = (config) => ({
+  ...config,
+  auth: { ...config.auth, users: config.auth.users.map(user => ({ ...user, password: mask(user.password) })) },
+  relay: { ...config.relay, password: mask(config.relay.password) },
+  webhooks: config.webhooks.map(redactWebhook),
+});
+
+// Put the current secrets back where a PUT /api/config sends the masked values
+// it was given, e.g. when the settings panel saves without changing a password
+export const restoreSecrets = (settings, config) => {
+  const restored = { ...settings };
+  if (Array.isArray(settings.auth?.users)) {
+    restored.auth = {
+      ...settings.auth,
+      users: settings.auth.users.map(user => (user?.password === REDACTED
+        ? { ...user, password: config.auth.users.find(u => u.username === user.username)?.password ?? '' }
+        : user)),
+    };
+  }
+  if (settings.relay?.password === REDACTED) {
+    restored.relay = { ...settings.relay, password: config.relay.password };
+  }
+  if (Array.isArray(settings.webhooks)) {
+    restored.webhooks = settings.webhooks.map(hook => (hook?.secret === REDACTED
+      ? { ...hook, secret: config.webhooks.find(h => h.id === hook.id)?.secret }
+      : hook));
+  }
+  return restored;
+};
+
+// The mailbox settings as they are kept in the config file
+export const persistedSettings = (config) => {
+  const values = Object.fromEntries(PERSISTED_KEYS.map(key => [key, config[key]]));
+  // Listener settings are startup-only; just `required` changes at runtime
+  values.tls = { required: config.tls.required };
+  // A copy, since the running config is changed in place
+  return JSON.parse(JSON.stringify(values));
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Apply the settings that changed since `saved` to the parsed JSON file, key by
+// key, so entries the user wrote (and defaults they never set) stay as they are
+const mergeJson = (target, values, saved = {}) => {
+  Object.entries(values).forEach(([key, value]) => {
+    if (sameValue(value, saved[key])) return;
+    if (value === undefined) {
+      delete target[key];
+    } else if (isPlainObject(value) && (isPlainObject(target[key]) || (target[key] === undefined && isPlainObject(saved[key])))) {
+      // A new section gets only the entries that changed
+      target[key] ??= {};
+      mergeJson(target[key], value, isPlainObject(saved[key]) ? saved[key] : {});
+    } else {
+      target[key] = value;
+    }
+  });
+  // Entries removed at runtime
+  Object.keys(saved).filter(key => !(key in values)).forEach(key => delete target[key]);
+  return target;
+};
+
+// Same for a YAML map node, updating nodes in place so comments survive
+const mergeYaml = (doc, map, values, saved = {}) => {
+  Object.entries(values).forEach(([key, value]) => {
+    if (sameValue(value, saved[key])) return;
+    const node = map.get(key, true);
+    if (value === undefined) {
+      map.delete(key);
+    } else if (isPlainObject(value) && (YAML.isMap(node) || (node === undefined && isPlainObject(saved[key])))) {
+      if (node === undefined) map.set(key, doc.createNode({}));
+      mergeYaml(doc, map.get(key, true), value, isPlainObject(saved[key]) ? saved[key] : {});
+    } else if (YAML.isScalar(node) && !(value && typeof value === 'object')) {
+      node.value = value;
+    } else {
+      map.set(key, doc.createNode(value));
+    }
+  });
+  Object.keys(saved).filter(key => !(key in values)).forEach(key => map.delete(key));
+};
+
+// Write the settings that changed since `saved` (what was loaded from or last
+// written to the file) back to the config file, keeping everything else in it:
+// the `server` section, untouched settings and, for YAML, comments
+export const writeConfigFile = (file, values, saved) => {
+  const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+
+  let output;
+  if (isYaml(file)) {
+    const doc = YAML.parseDocument(text);
+    if (!YAML.isMap(doc.contents)) doc.contents = doc.createNode({});
+    mergeYaml(doc, doc.contents, values, saved);
+    output = doc.toString();
+  } else {
+    output = `${JSON.stringify(mergeJson(text ? JSON.parse(text) : {}, values, saved), null, 2)}\n`;
+  }
+
+  writeFileAtomic(file, output);
+};
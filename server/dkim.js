@@ -0,0 +1,234 @@
+// DKIM signature verification and SPF/DMARC alignment, answered from local
+// keys, records and an optional zone file so nothing is looked up on the internet
+import crypto from 'crypto';
+import fs from 'fs';
+import { authenticate } from 'mailauth';
+import { createHttpError } from './errors.js';
+
+// Record types the SPF and DMARC checks look up
+export const RECORD_TYPES = ['TXT', 'A', 'AAAA', 'MX'];
+
+// Name used for this server in Authentication-Results
+const MTA_NAME = 'sandbox-mailer';
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+
+// A PEM public key or the base64 p= value → a selector._domainkey TXT record.
+// PEM line breaks are optional since keys are often pasted into one-line inputs.
+const dkimKeyRecord = (publicKey) => {
+  const text = String(publicKey).trim();
+  const pem = text.match(/-----BEGIN (RSA )?PUBLIC KEY-----([\s\S]*?)-----END/);
+  const body = (pem ? pem[2] : text).replace(/\s+/g, '');
+  const key = crypto.createPublicKey({ key: Buffer.from(body, 'base64'), format: 'der', type: pem?.[1] ? 'pkcs1' : 'spki' });
+  const der = key.export({ type: 'spki', format: 'der' });
+
+  // Ed25519 records hold the bare 32-byte key (RFC 8463), RSA records the whole SPKI
+  if (key.asymmetricKeyType === 'ed25519') {
+    return `v=DKIM1; k=ed25519; p=${der.subarray(-32).toString('base64')}`;
+  }
+  if (key.asymmetricKeyType === 'rsa') {
+    return `v=DKIM1; k=rsa; p=${der.toString('base64')}`;
+  }
+  throw new Error(`unsupported key type "${key.asymmetricKeyType}"`);
+};
+
+// Validate DKIM/DNS settings from PUT /api/config:
+// keys:    [{ domain, selector, publicKey }] published as selector._domainkey.domain
+// records: [{ name, type, value }] for SPF (TXT at the envelope domain) and DMARC (TXT at _dmarc.domain)
+export const normalizeDkim = (dkim) => {
+  const keys = dkim.keys || [];
+  const records = dkim.records || [];
+
+  if (!Array.isArray(keys)) {
+    throw createHttpError(400, '"dkim.keys" must be an array');
+  }
+  if (!Array.isArray(records)) {
+    throw createHttpError(400, '"dkim.records" must be an array');
+  }
+
+  return {
+    keys: keys.map((key, index) => {
+      if (!key.domain || !key.selector) {
+        throw createHttpError(400, `DKIM key ${index + 1}: domain and selector are required`);
+      }
+      try {
+        dkimKeyRecord(key.publicKey || '');
+      } catch (err) {
+        throw createHttpError(400, `DKIM key ${index + 1}: invalid public key (${err.message})`);
+      }
+      return { domain: normalizeName(key.domain), selector: normalizeName(key.selector), publicKey: String(key.publicKey).trim() };
+    }),
+    records: records.map((record, index) => {
+      const type = String(record.type || 'TXT').toUpperCase();
+      if (!record.name) {
+        throw createHttpError(400, `DNS record ${index + 1}: name is required`);
+      }
+      if (!RECORD_TYPES.includes(type)) {
+        throw createHttpError(400, `DNS record ${index + 1}: type must be one of ${RECORD_TYPES.join(', ')}`);
+      }
+      if (type === 'MX' && !/^\d+\s+\S+$/.test(String(record.value || '').trim())) {
+        throw createHttpError(400, `DNS record ${index + 1}: MX value must be "<priority> <host>"`);
+      }
+      return { name: normalizeName(record.name), type, value: String(record.value ?? '').trim() };
+    }),
+  };
+};
+
+// Split a zone file line into tokens, keeping "quoted strings" whole
+const tokenize = (line) => line.match(/"(?:[^"\\]|\\.)*"|[^\s"]+/g) || [];
+
+const unquote = (token) => token.replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+
+// Drop ; comments (outside quotes) and join ( ... ) groups into single lines
+const zoneLines = (text) => {
+  const lines = [];
+  let current = '';
+  let depth = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line.replace(/("(?:[^"\\]|\\.)*")|;.*$/g, (match, quoted) => quoted || '');
+    const bare = code.replace(/"(?:[^"\\]|\\.)*"/g, '');
+    depth += (bare.match(/\(/g) || []).length - (bare.match(/\)/g) || []).length;
+    current += current ? ` ${code}` : code;
+    if (depth <= 0) {
+      if (current.trim()) lines.push(current.replace(/("(?:[^"\\]|\\.)*")|[()]/g, (match, quoted) => quoted || ' '));
+      current = '';
+      depth = 0;
+    }
+  });
+
+  return lines;
+};
+
+// Parse the TXT, A, AAAA and MX records of a BIND-style zone file; other types are skipped
+export const parseZoneFile = (text) => {
+  const records = [];
+  let origin = '';
+  let lastName = '';
+
+  const qualify = (name) => {
+    if (name === '@') return origin;
+    if (name.endsWith('.')) return normalizeName(name);
+    return normalizeName(origin ? `${name}.${origin}` : name);
+  };
+
+  zoneLines(text).forEach(line => {
+    const tokens = tokenize(line);
+    if (tokens[0] === '$ORIGIN') {
+      origin = normalizeName(tokens[1] || '');
+      return;
+    }
+    if (tokens[0]?.startsWith('$')) return;
+
+    // Lines starting with whitespace belong to the previous name
+    let name = lastName;
+    if (!/^\s/.test(line)) name = qualify(tokens.shift());
+    lastName = name;
+
+    // Skip the optional TTL and class, in either order
+    while (tokens.length && (/^\d+[smhdw]?$/i.test(tokens[0]) || /^(IN|CH|HS)$/i.test(tokens[0]))) tokens.shift();
+
+    const type = (tokens.shift() || '').toUpperCase();
+    if (!RECORD_TYPES.includes(type)) return;
+
+    if (type === 'TXT') {
+      records.push({ name, type, value: tokens.map(unquote) });
+    } else if (type === 'MX') {
+      records.push({ name, type, value: `${tokens[0]} ${tokens[1] ? qualify(tokens[1]) : ''}`.trim() });
+    } else {
+      records.push({ name, type, value: tokens[0] });
+    }
+  });
+
+  return records;
+};
+
+// Re-read the zone file only when it changes
+let zoneCache = { file: null, mtimeMs: 0, records: [] };
+
+export const readZoneFile = (file) => {
+  const { mtimeMs } = fs.statSync(file);
+  if (zoneCache.file !== file || zoneCache.mtimeMs !== mtimeMs) {
+    zoneCache = { file, mtimeMs, records: parseZoneFile(fs.readFileSync(file, 'utf8')) };
+  }
+  return zoneCache.records;
+};
+
+const dnsError = (code, name) => {
+  const error = new Error(`${code} ${name}`);
+  error.code = code;
+  return error;
+};
+
+// Resolver in the shape of dns.promises.resolve, answering only from local data
+const createResolver = ({ dkim, zoneFile }) => {
+  const records = [
+    ...dkim.keys.map(key => ({ name: `${key.selector}._domainkey.${key.domain}`, type: 'TXT', value: dkimKeyRecord(key.publicKey) })),
+    ...dkim.records,
+    ...(zoneFile ? readZoneFile(zoneFile) : []),
+  ];
+
+  return async (name, type) => {
+    const matches = records.filter(record => record.name === normalizeName(name));
+    if (!matches.length) throw dnsError('ENOTFOUND', name);
+    const answers = matches.filter(record => record.type === type);
+    if (!answers.length) throw dnsError('ENODATA', name);
+
+    return answers.map(({ value }) => {
+      if (type === 'TXT') return Array.isArray(value) ? value : [value];
+      if (type === 'MX') {
+        const [priority, exchange] = value.split(/\s+/);
+        return { priority: Number(priority), exchange: normalizeName(exchange) };
+      }
+      return value;
+    });
+  };
+};
+
+// Check a received message. `sender` is MAIL FROM, `ip`/`helo` describe the SMTP client.
+// Never throws: problems end up in `error` so the message is still stored.
+export const verifyMessage = async (raw, { dkim, zoneFile, sender, ip, helo }) => {
+  try {
+    const result = await authenticate(raw, {
+      resolver: createResolver({ dkim, zoneFile }),
+      sender: sender && sender !== 'unknown' ? sender : undefined,
+      ip: ip || '127.0.0.1',
+      helo: helo || 'localhost',
+      mta: MTA_NAME,
+      disableArc: true,
+      disableBimi: true,
+    });
+    const { dmarc } = result;
+
+    return {
+      dkim: result.dkim.results.map(signature => ({
+        result: signature.status.result,
+        domain: signature.signingDomain || null,
+        selector: signature.selector || null,
+        algorithm: signature.algo || null,
+        aligned: Boolean(signature.status.aligned),
+        comment: signature.status.comment || null,
+      })),
+      spf: {
+        result: result.spf?.status?.result || 'none',
+        domain: result.spf?.domain || null,
+        comment: result.spf?.status?.comment || null,
+      },
+      dmarc: {
+        result: dmarc?.status?.result || 'none',
+        domain: dmarc?.domain || null,
+        policy: dmarc?.policy || null,
+        // The aligned domain, or false when that mechanism didn't align with From
+        alignment: {
+          dkim: dmarc?.alignment?.dkim?.result || false,
+          spf: dmarc?.alignment?.spf?.result || false,
+        },
+        comment: dmarc?.status?.comment || null,
+      },
+      header: result.headers.split(/\r?\n(?=\S)/).find(line => line.startsWith('Authentication-Results:')) || null,
+      error: null,
+    };
+  } catch (err) {
+    return { dkim: [], spf: null, dmarc: null, header: null, error: err.message };
+  }
+};
@@ -0,0 +1,7 @@
+// Errors that carry the HTTP status the API routes answer with, e.g. 400 for
+// invalid settings or query parameters
+export const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
@@ -0,0 +1,31 @@
+// Server-Sent Events hub for pushing mailbox changes to the web UI
+const clients = new Set();
+
+// Keep idle connections open through proxies and detect dead clients
+const HEARTBEAT_MS = 25 * 1000;
+
+setInterval(() => {
+  clients.forEach(res => res.write(': heartbeat\n\n'));
+}, HEARTBEAT_MS).unref();
+
+// Express handler for GET /api/events
+export const subscribe = (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // Ask EventSource to reconnect quickly after a restart
+  res.write('retry: 2000\n\n');
+
+  clients.add(res);
+  res.on('close', () => clients.delete(res));
+};
+
+// Send an event to every connected client
+export const publish = (type, data = {}) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+};
+
+export const clientCount = () => clients.size;
@@ -0,0 +1,55 @@
+// Pull links and one-time codes out of an email so tests can act on them
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/gi;
+
+// 4-8 digit numbers or "123-456" style codes that aren't part of a longer token
+const CODE_PATTERN = /(?<![\w./:-])(\d{3}-\d{3}|\d{4,8})(?![\w/-])/g;
+
+// Words that usually sit right before a one-time code
+const CODE_HINTS = /\b(code|otp|pin|passcode|token|verification|verify|confirm|one[- ]time)\b/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|apos|#39);/g, (_, name) => ENTITIES[name]);
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+// Trailing punctuation is almost never part of a URL in prose
+const trimUrl = (url) => url.replace(/[.,;:!?]+$/, '');
+
+export const extractLinks = (email) => {
+  const links = new Map();
+
+  // HTML anchors first: they carry the link text ("Verify email", "Reset password")
+  const anchorPattern = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+  for (const [, , href, inner] of (email.html || '').matchAll(anchorPattern)) {
+    const url = decodeEntities(href.trim());
+    if (!/^https?:\/\//i.test(url) || links.has(url)) continue;
+    links.set(url, { url, text: stripTags(inner), source: 'html' });
+  }
+
+  for (const [match] of (email.text || '').matchAll(URL_PATTERN)) {
+    const url = trimUrl(match);
+    if (!links.has(url)) links.set(url, { url, text: '', source: 'text' });
+  }
+
+  return [...links.values()];
+};
+
+export const extractCodes = (email) => {
+  const body = email.text || stripTags(email.html || '');
+  const content = `${email.subject || ''}\n${body}`.replace(URL_PATTERN, ' ');
+  const codes = new Map();
+
+  for (const match of content.matchAll(CODE_PATTERN)) {
+    const code = match[1];
+    if (codes.has(code)) continue;
+    const context = content.substring(Math.max(0, match.index - 60), match.index).split('\n').pop();
+    codes.set(code, { code, hinted: CODE_HINTS.test(context) });
+  }
+
+  // Codes introduced by words like "code" or "OTP" come first
+  return [...codes.values()]
+    .sort((a, b) => Number(b.hinted) - Number(a.hinted))
+    .map(({ code }) => code);
+};
@@ -0,0 +1,121 @@
+// Programmable SMTP fault injection rules
+import { v4 as uuidv4 } from 'uuid';
+import { createHttpError } from './errors.js';
+
+// rcpt:       reply to RCPT TO for the matching recipient (other recipients still succeed)
+// data:       reply at the end of DATA; the message is not stored
+// after-data: the message is stored, but the client still gets the failure
+export const FAULT_STAGES = ['rcpt', 'data', 'after-data'];
+
+// respond: send the SMTP code, drop: close the connection, timeout: never reply
+export const FAULT_ACTIONS = ['respond', 'drop', 'timeout'];
+
+// Enhanced status text used when a rule doesn't set its own message
+const DEFAULT_MESSAGES = {
+  421: '4.3.2 Service not available, closing transmission channel',
+  450: '4.2.1 Mailbox temporarily unavailable',
+  451: '4.3.0 Local error in processing',
+  452: '4.3.1 Insufficient system storage',
+  550: '5.1.1 Mailbox unavailable',
+  551: '5.1.6 User not local',
+  552: '5.3.4 Message too large',
+  553: '5.1.3 Mailbox name not allowed',
+  554: '5.7.1 Message rejected as spam',
+};
+
+// How many times each rule's criteria matched, for "nth" rules
+const counters = new Map();
+
+const compile = (pattern, field, index) => {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw createHttpError(400, `Fault rule ${index + 1}: invalid ${field} pattern: ${err.message}`);
+  }
+};
+
+// Validate rules from PUT /api/config and fill in defaults
+export const normalizeFaultRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw createHttpError(400, '"faults" must be an array of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const stage = rule.stage || 'data';
+    const action = rule.action || 'respond';
+    const code = Number(rule.code ?? 550);
+    const match = rule.match || {};
+
+    if (!FAULT_STAGES.includes(stage)) {
+      throw createHttpError(400, `Fault rule ${index + 1}: stage must be one of ${FAULT_STAGES.join(', ')}`);
+    }
+    if (!FAULT_ACTIONS.includes(action)) {
+      throw createHttpError(400, `Fault rule ${index + 1}: action must be one of ${FAULT_ACTIONS.join(', ')}`);
+    }
+    if (action === 'respond' && !(code >= 400 && code <= 599)) {
+      throw createHttpError(400, `Fault rule ${index + 1}: code must be a 4xx or 5xx SMTP code`);
+    }
+    if (stage === 'rcpt' && match.subject) {
+      throw createHttpError(400, `Fault rule ${index + 1}: subject is not known yet at the rcpt stage`);
+    }
+    ['from', 'to', 'subject'].forEach(field => compile(match[field], field, index));
+
+    const nth = match.nth ? Number(match.nth) : null;
+    if (nth !== null && !(Number.isInteger(nth) && nth > 0)) {
+      throw createHttpError(400, `Fault rule ${index + 1}: nth must be a positive integer`);
+    }
+
+    return {
+      id: rule.id || uuidv4(),
+      enabled: rule.enabled !== false,
+      stage,
+      action,
+      code,
+      message: rule.message || '',
+      match: {
+        from: match.from || '',
+        to: match.to || '',
+        subject: match.subject || '',
+        nth,
+        repeat: Boolean(match.repeat),
+      },
+    };
+  });
+};
+
+// Forget the counts of rules that were removed or whose criteria changed, once
+// new rules replace `previous`; rules left as they were keep counting
+export const resetFaultCounters = (previous, rules) => {
+  const kept = new Map(rules.map(rule => [rule.id, JSON.stringify(rule.match)]));
+  previous.forEach(rule => {
+    if (kept.get(rule.id) !== JSON.stringify(rule.match)) counters.delete(rule.id);
+  });
+};
+
+// Find the first rule that fires for this stage. `to` is a list of recipients
+// (a single one at the rcpt stage); a rule matches if any of them matches.
+export const findFault = (rules, stage, { from = '', to = [], subject = '' }) => {
+  let fired = null;
+
+  rules.filter(r => r.enabled && r.stage === stage).forEach(rule => {
+    const { match } = rule;
+    if (match.from && !new RegExp(match.from, 'i').test(from)) return;
+    if (match.to && !to.some(address => new RegExp(match.to, 'i').test(address))) return;
+    if (match.subject && !new RegExp(match.subject, 'i').test(subject)) return;
+
+    if (match.nth) {
+      const count = (counters.get(rule.id) || 0) + 1;
+      counters.set(rule.id, count);
+      const hit = match.repeat ? count % match.nth === 0 : count === match.nth;
+      if (!hit) return;
+    }
+
+    fired = fired || rule;
+  });
+
+  return fired;
+};
+
+// SMTP reply text for a respond rule, without the leading code
+export const faultMessage = (rule) => rule.message || DEFAULT_MESSAGES[rule.code] || 'Rejected by fault injection rule';
@@ -0,0 +1,9 @@
+// Filesystem helpers shared across modules
+import fs from 'fs';
+
+// Write to a temp file first so a crash never leaves a half-written file
+export const writeFileAtomic = (file, data) => {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+};
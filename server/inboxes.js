@@ -0,0 +1,94 @@
+// Isolated inboxes keyed by SMTP AUTH username or recipient-domain rules
+import { createHttpError } from './errors.js';
+import { normalizeRateLimit } from './ratelimit.js';
+import { normalizeLatency } from './latency.js';
+
+export const DEFAULT_INBOX = 'default';
+
+// Config sections an inbox can override
+export const INBOX_SETTINGS = ['rateLimit', 'latency'];
+
+// Records stored before inboxes existed belong to the default inbox
+export const inboxOf = (record) => record.inbox || DEFAULT_INBOX;
+
+// "example.com" matches exactly, "*.example.com" matches any subdomain
+export const domainMatches = (domain, pattern) => {
+  const wanted = pattern.toLowerCase();
+  if (wanted.startsWith('*.')) return domain.endsWith(wanted.substring(1));
+  return domain === wanted;
+};
+
+// Pick the inbox for an incoming message: the AUTH username wins, then the
+// first rule (in order) that matches any recipient domain
+export const resolveInbox = ({ user, recipients }, rules = []) => {
+  if (user) return user;
+
+  const domains = recipients.map(address => address.split('@').pop().toLowerCase());
+  const rule = rules.find(r => r.domain && r.inbox && domains.some(d => domainMatches(d, r.domain)));
+  return rule ? rule.inbox : DEFAULT_INBOX;
+};
+
+// Validate routing rules from PUT /api/config or the config file
+export const normalizeInboxRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw createHttpError(400, '"inboxRules" must be an array of { domain, inbox } rules');
+  }
+  return rules.map((rule, index) => {
+    if (!rule?.domain || typeof rule.domain !== 'string' || !rule.inbox || typeof rule.inbox !== 'string') {
+      throw createHttpError(400, `Inbox rule ${index + 1}: domain and inbox are required`);
+    }
+    return { domain: rule.domain.trim().toLowerCase(), inbox: rule.inbox };
+  });
+};
+
+// Check one inbox's overrides with the same rules as the global settings.
+// Latency is checked merged with the global profile it applies on top of, but
+// only the fields the inbox sets are kept.
+const normalizeOverrides = (name, overrides, base) => {
+  if (!overrides || typeof overrides !== 'object') {
+    throw createHttpError(400, `Inbox "${name}": overrides must be an object`);
+  }
+  const unknown = Object.keys(overrides).find(key => !INBOX_SETTINGS.includes(key));
+  if (unknown) {
+    throw createHttpError(400, `Inbox "${name}": "${unknown}" can't be overridden per inbox (only ${INBOX_SETTINGS.join(', ')})`);
+  }
+
+  const normalized = {};
+  try {
+    const { rateLimit, latency } = overrides;
+    if (rateLimit) {
+      normalized.rateLimit = normalizeRateLimit(rateLimit);
+    }
+    if (latency) {
+      const checked = normalizeLatency({ ...base.latency, ...latency });
+      normalized.latency = Object.fromEntries(Object.keys(latency).map(key => [key, checked[key]]));
+    }
+  } catch (err) {
+    throw createHttpError(400, `Inbox "${name}": ${err.message}`);
+  }
+  return normalized;
+};
+
+// Validate per-inbox overrides (keyed by inbox name) against the global `base` settings
+export const normalizeInboxes = (inboxes, base) => {
+  if (!inboxes || typeof inboxes !== 'object' || Array.isArray(inboxes)) {
+    throw createHttpError(400, '"inboxes" must be an object keyed by inbox name');
+  }
+  return Object.fromEntries(Object.entries(inboxes).map(([name, overrides]) => [name, normalizeOverrides(name, overrides, base)]));
+};
+
+// Global settings with the inbox's overrides applied on top
+export const inboxConfig = (config, inbox) => {
+  const overrides = config.inboxes?.[inbox] || {};
+  return Object.fromEntries(INBOX_SETTINGS.map(key => [key, { ...config[key], ...overrides[key] }]));
+};
+
+// Every inbox that has mail, errors, overrides or a routing rule
+export const listInboxNames = (store, config) => {
+  const names = new Set([DEFAULT_INBOX]);
+  store.listEmails().forEach(e => names.add(inboxOf(e)));
+  store.listErrors().forEach(e => names.add(inboxOf(e)));
+  Object.keys(config.inboxes || {}).forEach(name => names.add(name));
+  (config.inboxRules || []).forEach(rule => rule.inbox && names.add(rule.inbox));
+  return [...names].sort((a, b) => (a === DEFAULT_INBOX ? -1 : b === DEFAULT_INBOX ? 1 : a.localeCompare(b)));
+};
@@ -5,69 +5,217 @@ import { simpleParser } from 'mailparser';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createStore, DEFAULT_RETENTION, normalizeRetention } from './storage.js';
+import { subscribe, publish, clientCount } from './events.js';
+import { queryEmails, toSummary, buildFilter } from './query.js';
+import { waitForEmail, notifyWaiters } from './waiters.js';
+import { extractLinks, extractCodes } from './extract.js';
+import { normalizeFaultRules, resetFaultCounters, findFault, faultMessage } from './faults.js';
+import { checkRateLimit, normalizeRateLimit, rateLimitState } from './ratelimit.js';
+import { loadTlsCredentials, describeTls } from './tls.js';
+import { normalizeAuth, checkCredentials, AUTH_FAILED_MESSAGE, AUTH_REQUIRED_MESSAGE } from './auth.js';
+import { loadConfig, writeConfigFile, persistedSettings, redactConfig, redactWebhook, restoreSecrets, USAGE } from './config.js';
+import { mimeTree, splitMessage, parseHeaders } from './mime.js';
+import { resolveInlineParts, linkInlineParts } from './cid.js';
+import { checkEmail } from './checks.js';
+import { scoreEmail } from './spam.js';
+import { normalizeDkim, verifyMessage, readZoneFile } from './dkim.js';
+import { normalizeRelay, relayMessage, allowedRecipients, wasRelayed, DEFAULT_RELAY } from './relay.js';
+import { normalizeWebhook, normalizeWebhooks, dispatchWebhooks, pingWebhook, listDeliveries, forgetDeliveries } from './webhooks.js';
+import { paginate, headerMap, toMailHogMessage, mailHogSearchFilter, toMailpitSummary, toMailpitMessage, mailpitSearchFilter } from './compat.js';
+import { smtpLogger, openSession, noteSession, onTranscript, closeSession, lastCommand } from './transcripts.js';
+import { recordAccepted, recordRejected, recordLatency, resetMetrics, metricsSnapshot, prometheusMetrics } from './metrics.js';
+import { toMbox, splitMbox, isMbox, createZip } from './archive.js';
+import { normalizeLatency, drawStageDelay, trickleRate, shapeReplies, currentPhase } from './latency.js';
+import { normalizePolicy, checkSender, checkRecipient, checkSize, DEFAULT_POLICY } from './policy.js';
+import { normalizeBounceRules, sendBounces, listBounces } from './bounces.js';
+import { DEFAULT_INBOX, inboxOf, resolveInbox, inboxConfig, listInboxNames, INBOX_SETTINGS, normalizeInboxRules, normalizeInboxes } from './inboxes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link'] }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// In-memory storage
-const emails = [];
-const errors = [];
+// Startup options from CLI flags, environment variables and the config file
+let startup;
+try {
+  startup = loadConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+if (startup.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const { server: serverOptions, settings, file: configFile } = startup;
 
-// Configuration with defaults
+// Configuration with defaults, overridden by the config file
 let config = {
   rateLimit: {
     enabled: true,
     maxPerSecond: 1,
+    ...settings.rateLimit,
   },
+  // Delay profiles per SMTP stage and scenarios (see latency.js)
   latency: {
     enabled: false,
+    distribution: 'uniform',
     minMs: 0,
     maxMs: 0,
+    ...settings.latency,
   },
+  retention: { ...DEFAULT_RETENTION, ...settings.retention },
+  // Recipient-domain routing, e.g. [{ domain: 'shop.test', inbox: 'shop' }]
+  inboxRules: settings.inboxRules || [],
+  // Per-inbox overrides of rateLimit/latency, keyed by inbox name
+  inboxes: settings.inboxes || {},
+  // Fault injection rules (see faults.js)
+  faults: settings.faults || [],
+  // Listeners are set at startup; only `required` can change at runtime
+  tls: {
+    starttls: serverOptions.starttls,
+    implicit: serverOptions.smtps,
+    implicitPort: serverOptions.smtpsPort,
+    required: Boolean(settings.tls?.required),
+  },
+  // Authentication mode (see auth.js), e.g. { mode: 'required', users: [{ username, password }] }
+  auth: settings.auth || {
+    mode: 'any',
+    users: [],
+  },
+  // Local DKIM keys and DNS records for sender verification (see dkim.js)
+  dkim: settings.dkim || {
+    keys: [],
+    records: [],
+  },
+  // Upstream SMTP server for releasing captured mail (see relay.js)
+  relay: settings.relay || { ...DEFAULT_RELAY },
+  // Outbound webhooks (see webhooks.js), managed through /api/webhooks
+  webhooks: settings.webhooks || [],
+  // Size, recipient and address policies for incoming mail (see policy.js)
+  policy: settings.policy || { ...DEFAULT_POLICY },
+  // DSN bounce and auto-reply rules (see bounces.js)
+  bounces: settings.bounces || [],
 };
 
-// Rate limiting state
-let lastEmailTime = 0;
-let emailsInCurrentSecond = 0;
+// Fail at startup rather than on the first message when the zone file is unreadable
+if (serverOptions.zoneFile) {
+  try {
+    readZoneFile(serverOptions.zoneFile);
+  } catch (err) {
+    console.error(`❌ Could not read zone file: ${err.message}`);
+    process.exit(1);
+  }
+}
 
-// Reset rate limit counter every second
-setInterval(() => {
-  emailsInCurrentSecond = 0;
-}, 1000);
+const DATA_DIR = serverOptions.dataDir || path.resolve(__dirname, '../data');
 
-// Helper to simulate latency
-const simulateLatency = () => {
-  if (!config.latency.enabled) return Promise.resolve();
-  
-  const delay = Math.floor(
-    Math.random() * (config.latency.maxMs - config.latency.minMs + 1) + config.latency.minMs
-  );
-  
-  return new Promise(resolve => setTimeout(resolve, delay));
+// Mailbox storage (`memory` keeps everything in RAM like before)
+const store = createStore({
+  driver: serverOptions.storage,
+  dir: DATA_DIR,
+  retention: () => config.retention,
+});
+
+// Certificate for STARTTLS/SMTPS (provided files, or self-signed)
+const tlsCredentials = config.tls.starttls || config.tls.implicit
+  ? await loadTlsCredentials({
+    certFile: serverOptions.tlsCert,
+    keyFile: serverOptions.tlsKey,
+    dir: path.join(DATA_DIR, 'tls'),
+  })
+  : null;
+
+// Settings as loaded from or last written to the config file; only what
+// differs from them is written back
+let savedSettings = persistedSettings(config);
+
+// Save runtime changes to the config file when write-back is on
+const persistConfig = () => {
+  if (!serverOptions.writeBack) return;
+  try {
+    const values = persistedSettings(config);
+    writeConfigFile(configFile, values, savedSettings);
+    savedSettings = values;
+  } catch (err) {
+    console.error(`⚠️  Could not write ${configFile}:`, err.message);
+  }
 };
 
-// Check rate limit
-const checkRateLimit = () => {
-  if (!config.rateLimit.enabled) return { allowed: true };
-  
-  const now = Date.now();
-  const timeSinceLastEmail = now - lastEmailTime;
+// Tell the UI the settings changed, without secrets (every client gets it)
+const publishConfig = () => {
+  publish('config.updated', redactConfig(config));
+};
+
+// Tell the UI about emails removed by the retention policy
+const publishEvictions = (ids) => {
+  ids.forEach(id => publish('email.deleted', { id }));
+};
+
+// Apply age-based retention even when no new mail arrives
+setInterval(() => publishEvictions(store.prune()), 60 * 1000).unref();
+
+// The disk index is written in batches; save what's pending before exiting
+process.on('exit', () => store.flush());
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+  store.flush();
+  process.kill(process.pid, signal);
+}));
+
+// Save an error record and push it to the UI and webhooks. With the SMTP
+// session, the transcript is added once the client has had its reply.
+const recordError = (errorRecord, session = null) => {
+  store.addError(errorRecord);
+  recordRejected({ inbox: errorRecord.inbox, reason: errorRecord.type, from: errorRecord.from, to: errorRecord.to });
+  publish('error.recorded', errorRecord);
+  dispatchWebhooks(config.webhooks, `error.${errorRecord.type}`, { inbox: errorRecord.inbox, data: errorRecord });
+  if (session) {
+    noteSession(session, errorRecord.type, errorRecord.message);
+    onTranscript(session, transcript => store.updateError(errorRecord.id, { transcript }));
+  }
+};
+
+// Draw the delay for one stage of a session and note it in the metrics and transcript
+const drawLatency = (session, latency, stage) => {
+  const { delay, phase } = drawStageDelay(latency, stage);
+  if (delay === null) return 0;
   
-  if (emailsInCurrentSecond >= config.rateLimit.maxPerSecond) {
-    return {
-      allowed: false,
-      code: 421, // SMTP: Service not available, try again later
-      message: `421 4.7.0 Rate limit exceeded: Maximum ${config.rateLimit.maxPerSecond} email(s) per second allowed. Please retry after 1 second.`,
-      retryAfter: Math.ceil(1000 - (now % 1000)),
-    };
+  recordLatency(delay);
+  if (delay) {
+    noteSession(session, 'latency', `Injected ${delay}ms of latency at ${stage}${phase ? ` (scenario phase "${phase}")` : ''}`);
   }
+  return delay;
+};
+
+// Helper to simulate latency; resolves with the delay in ms
+const simulateLatency = (session, latency, stage) => {
+  const delay = drawLatency(session, latency, stage);
+  return new Promise(resolve => setTimeout(() => resolve(delay), delay));
+};
+
+// Latency settings of the inbox a session delivers to; before RCPT TO that's
+// the AUTH user's inbox or the default one
+const sessionLatency = (session) => inboxConfig(config, resolveInbox({
+  user: session.user,
+  recipients: session.envelope?.rcptTo?.map(r => r.address) || [],
+}, config.inboxRules)).latency;
+
+// How the session's next reply is sent: EHLO replies get the "ehlo" stage
+// delay, and every reply is trickled when a byte rate is set. The STARTTLS
+// reply goes out at once, since the TLS handshake starts right after it.
+const replyPlan = (session) => () => {
+  const command = lastCommand(session);
+  if (command === 'STARTTLS') return { delayMs: 0, bytesPerSecond: 0 };
   
-  return { allowed: true };
+  const latency = sessionLatency(session);
+  return {
+    delayMs: command === 'EHLO' || command === 'HELO' ? drawLatency(session, latency, 'ehlo') : 0,
+    bytesPerSecond: trickleRate(latency),
+  };
 };
 
 // Create SMTP error with proper response code
@@ -77,99 +225,403 @@ const createSmtpError = (code, message) => {
   return error;
 };
 
+// smtp-server's connection object for a session
+const findConnection = (session) => smtpServers
+  .flatMap(server => [...server.connections])
+  .find(c => c.id === session.id);
+
+// Close the client's connection, e.g. for "drop" fault rules
+const dropConnection = (session) => {
+  findConnection(session)?._socket?.destroy();
+};
+
+// Record a fired fault rule and act on it. "timeout" never calls back, so the
+// client waits until its own timeout (or the server's socket timeout) hits.
+const applyFault = (rule, { session, inbox, from, to, messageId = null }, callback) => {
+  const text = faultMessage(rule);
+  const messages = {
+    respond: `${rule.code} ${text}`,
+    drop: 'Connection dropped by fault rule',
+    timeout: 'Response withheld by fault rule (client will time out)',
+  };
+  
+  recordError({
+    id: uuidv4(),
+    inbox,
+    type: 'fault',
+    code: rule.action === 'respond' ? rule.code : null,
+    message: messages[rule.action],
+    stage: rule.stage,
+    ruleId: rule.id,
+    timestamp: new Date().toISOString(),
+    from,
+    to,
+    messageId,
+  }, session);
+  
+  console.log(`💥 Fault rule (${rule.stage}/${rule.action}) triggered for ${from}`);
+  
+  if (rule.action === 'drop') {
+    dropConnection(session);
+  } else if (rule.action === 'respond') {
+    callback(createSmtpError(rule.code, text));
+  }
+};
+
+// Record a message or recipient refused by the envelope policy and send the refusal
+const rejectByPolicy = (rejection, { session, inbox, from, to, messageId = null }, callback) => {
+  recordError({
+    id: uuidv4(),
+    inbox,
+    type: 'policy',
+    rule: rejection.rule,
+    code: rejection.code,
+    message: `${rejection.code} ${rejection.text}`,
+    timestamp: new Date().toISOString(),
+    from,
+    to,
+    messageId,
+  }, session);
+  
+  console.log(`🚫 Policy (${rejection.rule}) refused mail from ${from}`);
+  callback(createSmtpError(rejection.code, rejection.text));
+};
+
+// Message-ID header of a raw message, to match retries of the same message
+const messageIdOf = (raw) => parseHeaders(splitMessage(raw).head)
+  .find(h => h.name.toLowerCase() === 'message-id')?.value || null;
 
-// Create SMTP server
-const smtpServer = new SMTPServer({
-  secure: false,
+// Read the whole DATA stream so the raw source can be kept
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Keep cid: links in the HTML; GET /emails/:id points them at the inline
+// attachment route instead of storing every embedded image twice as a data: URI
+const parseMessage = (raw) => simpleParser(raw, { keepCidLinks: true });
+
+// Bulk export formats and the largest accepted import upload
+const EXPORT_FORMATS = ['mbox', 'zip', 'json'];
+const IMPORT_LIMIT = '50mb';
+
+// Parse a raw message and save it to the store
+const storeMessage = async (raw, { fromAddress, toAddresses, inbox = DEFAULT_INBOX, parsed, tls = null, user = null, client = {} }) => {
+  parsed = parsed || await parseMessage(raw);
+  
+  // Attachment content goes to the store, only metadata stays on the record
+  const parts = parsed.attachments?.map(a => ({
+    id: uuidv4(),
+    filename: a.filename || 'unnamed',
+    contentType: a.contentType || 'application/octet-stream',
+    size: a.size || 0,
+    cid: a.cid || null, // Content-ID for inline images
+    content: a.content,
+  })) || [];
+  // Parts referenced from the HTML are inline images rather than real attachments
+  const { attachments, unresolvedCids } = resolveInlineParts(parsed.html || '', parts);
+  
+  const email = {
+    id: uuidv4(),
+    inbox,
+    from: parsed.from?.text || fromAddress,
+    to: parsed.to?.text || toAddresses.join(', '),
+    cc: parsed.cc?.text || '',
+    bcc: parsed.bcc?.text || '',
+    subject: parsed.subject || '(no subject)',
+    text: parsed.text || '',
+    html: parsed.html || '',
+    attachments: attachments.map(({ content, ...meta }) => meta),
+    unresolvedCids,
+    headers: Object.fromEntries(parsed.headers),
+    messageId: parsed.messageId || null,
+    receivedAt: new Date().toISOString(),
+    size: raw.length,
+    tls,
+    user, // Authenticated SMTP username
+    envelope: { from: fromAddress, to: toAddresses },
+  };
+  email.spamScore = scoreEmail(email, raw).score;
+  email.authentication = await verifyMessage(raw, {
+    dkim: config.dkim,
+    zoneFile: serverOptions.zoneFile,
+    sender: fromAddress,
+    ip: client.ip,
+    helo: client.helo,
+  });
+  
+  const evicted = store.addEmail(email, { raw, attachments });
+  publish('email.received', toSummary(email));
+  dispatchWebhooks(config.webhooks, 'email.received', { inbox, data: toSummary(email) });
+  publishEvictions(evicted);
+  notifyWaiters(email);
+  return email;
+};
+
+// Generate the bounces and auto-replies a stored email triggers. Ones delivered
+// to the store land in the same inbox as the original message.
+const bounceEmail = (email, raw, session) => {
+  const { head } = splitMessage(raw);
+  sendBounces(config.bounces, {
+    raw,
+    head,
+    headers: parseHeaders(head),
+    sender: email.envelope.from === 'unknown' ? '' : email.envelope.from,
+    recipients: session.envelope.rcptTo.map(r => ({ address: r.address, notify: r.dsn?.notify, orcpt: r.dsn?.orcpt })),
+    receivedAt: email.receivedAt,
+    envid: session.envelope.dsn?.envid,
+    ret: session.envelope.dsn?.ret,
+  }, {
+    emailId: email.id,
+    inbox: email.inbox,
+    storeLocally: (bounce, envelope) => storeMessage(bounce, { fromAddress: envelope.from, toAddresses: [envelope.to], inbox: email.inbox }),
+  });
+};
+
+// Relay a stored email to the upstream server and record the attempt on it.
+// Never throws: failures are part of the record.
+const releaseEmail = async (email, { to, auto = false }) => {
+  const attempt = {
+    id: uuidv4(),
+    auto,
+    host: `${config.relay.host}:${config.relay.port}`,
+    to,
+    timestamp: new Date().toISOString(),
+  };
+  // Messages without a usable MAIL FROM fall back to the From header
+  const from = [email.envelope?.from].find(address => address && address !== 'unknown')
+    || email.from.match(/<([^>]+)>/)?.[1]
+    || email.from;
+  
+  try {
+    const raw = store.getRaw(email.id);
+    if (!raw) throw new Error('Original message source is not available');
+    const result = await relayMessage(config.relay, raw, { from, to, emailId: email.id });
+    Object.assign(attempt, { status: 'sent', ...result });
+    console.log(`📤 Relayed "${email.subject}" to ${to.join(', ')} via ${attempt.host}`);
+  } catch (err) {
+    Object.assign(attempt, { status: 'failed', code: err.responseCode || null, error: err.response || err.message });
+    console.log(`❌ Relay of "${email.subject}" via ${attempt.host} failed: ${attempt.error}`);
+  }
+  
+  store.updateEmail(email.id, { relays: [...(email.relays || []), attempt] });
+  publish('email.relayed', { id: email.id, inbox: inboxOf(email), relay: attempt });
+  return attempt;
+};
+
+// Create an SMTP server; `secure` makes it an implicit TLS (SMTPS) listener
+const createSmtpServer = ({ secure }) => new SMTPServer({
+  secure,
   authOptional: true,
-  disabledCommands: ['STARTTLS'],
+  // AUTH before STARTTLS is allowed unless TLS is required (checked in onAuth)
+  allowInsecureAuth: true,
+  disabledCommands: config.tls.starttls && !secure ? [] : ['STARTTLS'],
+  // Records each session's commands and replies for the transcripts
+  logger: smtpLogger,
+  // Advertised as SIZE in the EHLO reply; kept in sync with config.policy
+  size: config.policy.maxMessageBytes,
+  // Accept RET/ENVID and NOTIFY/ORCPT, which the bounce rules honour
+  hideDSN: false,
+  ...(tlsCredentials && { key: tlsCredentials.key, cert: tlsCredentials.cert }),
   
   onConnect(session, callback) {
-    console.log(`📬 Connection from ${session.remoteAddress}`);
+    console.log(`📬 Connection from ${session.remoteAddress}${secure ? ' (SMTPS)' : ''}`);
+    openSession(session, { secure });
+    shapeReplies(findConnection(session)?._socket, replyPlan(session));
+    simulateLatency(session, sessionLatency(session), 'connect').then(() => callback());
+  },
+  
+  // STARTTLS swaps in a new socket, so its replies need shaping too
+  onSecure(socket, session, callback) {
+    shapeReplies(socket, replyPlan(session));
+    callback();
+  },
+  
+  onClose(session) {
+    closeSession(session);
+  },
+  
+  onMailFrom(address, session, callback) {
+    if (config.tls.required && !session.secure) {
+      const message = '5.7.0 Must issue a STARTTLS command first';
+      recordError({
+        id: uuidv4(),
+        inbox: resolveInbox({ user: session.user, recipients: [] }, config.inboxRules),
+        type: 'tls_required',
+        code: 530,
+        message: `530 ${message}`,
+        timestamp: new Date().toISOString(),
+        from: address.address || 'unknown',
+        to: [],
+      }, session);
+      return callback(createSmtpError(530, message));
+    }
+    if (config.auth.mode === 'required' && !session.user) {
+      recordError({
+        id: uuidv4(),
+        inbox: resolveInbox({ user: null, recipients: [] }, config.inboxRules),
+        type: 'auth_required',
+        code: 530,
+        message: `530 ${AUTH_REQUIRED_MESSAGE}`,
+        timestamp: new Date().toISOString(),
+        from: address.address || 'unknown',
+        to: [],
+      }, session);
+      return callback(createSmtpError(530, AUTH_REQUIRED_MESSAGE));
+    }
+    
+    const rejection = checkSender(config.policy, address.address);
+    if (rejection) {
+      const inbox = resolveInbox({ user: session.user, recipients: [] }, config.inboxRules);
+      return rejectByPolicy(rejection, { session, inbox, from: address.address, to: [] }, callback);
+    }
     callback();
   },
   
   onAuth(auth, session, callback) {
-    // Accept any authentication
+    if (config.tls.required && !session.secure) {
+      return callback(createSmtpError(538, '5.7.11 Encryption required for requested authentication mechanism'));
+    }
+    
+    const result = checkCredentials(config.auth, auth);
+    if (!result.ok) {
+      recordError({
+        id: uuidv4(),
+        inbox: resolveInbox({ user: auth.username, recipients: [] }, config.inboxRules),
+        type: 'auth_failed',
+        code: 535,
+        message: `535 ${AUTH_FAILED_MESSAGE}`,
+        reason: result.reason,
+        user: auth.username,
+        method: auth.method,
+        timestamp: new Date().toISOString(),
+        from: 'unknown',
+        to: [],
+      }, session);
+      console.log(`🔒 Authentication failed for "${auth.username}": ${result.reason}`);
+      return callback(createSmtpError(535, AUTH_FAILED_MESSAGE));
+    }
     callback(null, { user: auth.username });
   },
   
+  async onRcptTo(address, session, callback) {
+    const from = session.envelope.mailFrom?.address || 'unknown';
+    const inbox = resolveInbox({ user: session.user, recipients: [address.address] }, config.inboxRules);
+    await simulateLatency(session, inboxConfig(config, inbox).latency, 'rcpt');
+    
+    const rejection = checkRecipient(config.policy, address.address, session.envelope.rcptTo.length);
+    if (rejection) {
+      return rejectByPolicy(rejection, { session, inbox, from, to: [address.address] }, callback);
+    }
+    
+    const fault = findFault(config.faults, 'rcpt', { from, to: [address.address] });
+    if (fault) {
+      return applyFault(fault, { session, inbox, from, to: [address.address] }, callback);
+    }
+    callback();
+  },
+  
   async onData(stream, session, callback) {
     const fromAddress = session.envelope.mailFrom?.address || 'unknown';
     const toAddresses = session.envelope.rcptTo?.map(r => r.address) || [];
+    const inbox = resolveInbox({ user: session.user, recipients: toAddresses }, config.inboxRules);
+    const settings = inboxConfig(config, inbox);
+    // Gives the rate-limit units back if the message doesn't get stored
+    let releaseRateLimit = () => {};
     
     try {
       // Check rate limit FIRST
-      const rateLimitCheck = checkRateLimit();
+      const rateLimitCheck = checkRateLimit(inbox, settings.rateLimit, {
+        from: fromAddress,
+        to: toAddresses,
+        user: session.user,
+      });
       if (!rateLimitCheck.allowed) {
+        // Read the message anyway, so a later retry can be matched to this attempt by Message-ID
+        const raw = await readStream(stream);
+        noteSession(session, 'data_received', `Received ${raw.length} bytes`);
         const errorRecord = {
           id: uuidv4(),
+          inbox,
           type: 'rate_limit',
           code: rateLimitCheck.code,
-          message: rateLimitCheck.message,
+          message: `${rateLimitCheck.code} ${rateLimitCheck.message}`,
+          retryAfter: rateLimitCheck.retryAfter,
+          limitId: rateLimitCheck.limitId,
           timestamp: new Date().toISOString(),
           from: fromAddress,
           to: toAddresses,
+          messageId: messageIdOf(raw),
         };
-        errors.unshift(errorRecord);
-        if (errors.length > 50) errors.pop();
+        recordError(errorRecord, session);
         
         console.log(`❌ Rate limit exceeded for ${fromAddress}`);
-        
-        // Consume the stream before returning error
-        stream.on('data', () => {});
-        stream.on('end', () => {
-          callback(createSmtpError(rateLimitCheck.code, rateLimitCheck.message));
-        });
-        return;
+        return callback(createSmtpError(rateLimitCheck.code, rateLimitCheck.message));
       }
+      releaseRateLimit = rateLimitCheck.release;
       
       // Simulate latency
-      await simulateLatency();
+      await simulateLatency(session, settings.latency, 'data');
       
-      // Parse the email
-      const parsed = await simpleParser(stream);
+      // Read and parse the email
+      const raw = await readStream(stream);
+      noteSession(session, 'data_received', `Received ${raw.length} bytes`);
       
-      // Process attachments with full data
-      const attachments = parsed.attachments?.map(a => ({
-        id: uuidv4(),
-        filename: a.filename || 'unnamed',
-        contentType: a.contentType || 'application/octet-stream',
-        size: a.size || 0,
-        content: a.content.toString('base64'), // Store as base64
-        cid: a.cid || null, // Content-ID for inline images
-      })) || [];
+      const sizeRejection = checkSize(config.policy, stream.byteLength ?? raw.length);
+      if (sizeRejection) {
+        releaseRateLimit();
+        return rejectByPolicy(sizeRejection, { session, inbox, from: fromAddress, to: toAddresses, messageId: messageIdOf(raw) }, callback);
+      }
       
-      const email = {
-        id: uuidv4(),
-        from: parsed.from?.text || fromAddress,
-        to: parsed.to?.text || toAddresses.join(', '),
-        cc: parsed.cc?.text || '',
-        bcc: parsed.bcc?.text || '',
-        subject: parsed.subject || '(no subject)',
-        text: parsed.text || '',
-        html: parsed.html || '',
-        attachments: attachments,
-        headers: Object.fromEntries(parsed.headers),
-        receivedAt: new Date().toISOString(),
-        size: parsed.text?.length || 0,
-      };
+      const parsed = await parseMessage(raw);
+      const faultTarget = { session, inbox, from: fromAddress, to: toAddresses, messageId: parsed.messageId || null };
+      const envelope = { from: fromAddress, to: toAddresses, subject: parsed.subject || '' };
       
-      emails.unshift(email);
-      emailsInCurrentSecond++;
-      lastEmailTime = Date.now();
+      const dataFault = findFault(config.faults, 'data', envelope);
+      if (dataFault) {
+        releaseRateLimit();
+        return applyFault(dataFault, faultTarget, callback);
+      }
+      
+      const email = await storeMessage(raw, {
+        fromAddress,
+        toAddresses,
+        inbox,
+        parsed,
+        tls: describeTls(session, { implicit: secure }),
+        user: session.user || null,
+        client: { ip: session.remoteAddress, helo: session.hostNameAppearsAs },
+      });
+      
+      console.log(`✅ Email received in "${inbox}": "${email.subject}" from ${email.from}`);
+      noteSession(session, 'stored', `Stored as ${email.id} in inbox "${inbox}"`);
+      onTranscript(session, transcript => store.updateEmail(email.id, { transcript }));
       
-      // Keep only last 100 emails
-      if (emails.length > 100) {
-        emails.pop();
+      // Copy to real mailboxes on the allow-list, unless another sandbox already relayed it (loops)
+      if (config.relay.autoRelay && !wasRelayed(raw)) {
+        const recipients = allowedRecipients(config.relay, toAddresses);
+        if (recipients.length) releaseEmail(email, { to: recipients, auto: true });
       }
       
-      console.log(`✅ Email received: "${email.subject}" from ${email.from}`);
+      // Bounces and auto-replies come back later, like from a real provider
+      bounceEmail(email, raw, session);
+      
+      // Stored, but the client is told it failed (e.g. to test duplicate sends on retry)
+      const afterDataFault = findFault(config.faults, 'after-data', envelope);
+      if (afterDataFault) {
+        return applyFault(afterDataFault, faultTarget, callback);
+      }
+      
+      recordAccepted({ inbox, from: fromAddress, to: toAddresses, size: raw.length });
       callback();
     } catch (err) {
       console.error('Error processing email:', err);
+      releaseRateLimit();
       const errorRecord = {
         id: uuidv4(),
+        inbox,
         type: 'server_error',
         code: 451,
         message: `451 4.3.0 Server error: ${err.message}`,
@@ -177,55 +629,328 @@ const smtpServer = new SMTPServer({
         from: fromAddress,
         to: toAddresses,
       };
-      errors.unshift(errorRecord);
-      if (errors.length > 50) errors.pop();
+      recordError(errorRecord, session);
       
       callback(createSmtpError(451, `451 4.3.0 Server error: ${err.message}`));
     }
   },
 });
 
+const smtpServer = createSmtpServer({ secure: false });
+const smtpsServer = config.tls.implicit ? createSmtpServer({ secure: true }) : null;
+const smtpServers = [smtpServer, smtpsServer].filter(Boolean);
+
 // API Routes
 
-// Get all emails
-app.get('/api/emails', (req, res) => {
-  res.json(emails);
+// Realtime event stream for the web UI
+app.get('/api/events', subscribe);
+
+// List inboxes with their stats
+app.get('/api/inboxes', (req, res) => {
+  const emails = store.listEmails();
+  const errors = store.listErrors();
+  res.json(listInboxNames(store, config).map(name => ({
+    name,
+    totalEmails: emails.filter(e => inboxOf(e) === name).length,
+    totalErrors: errors.filter(e => inboxOf(e) === name).length,
+    config: inboxConfig(config, name),
+  })));
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  const stored = {};
+  store.listEmails().forEach(email => {
+    stored[inboxOf(email)] = (stored[inboxOf(email)] || 0) + 1;
+  });
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(prometheusMetrics({ stored }));
+});
+
+// Throughput, latency, sizes and top addresses for the dashboard
+app.get('/api/metrics', (req, res) => {
+  res.json(metricsSnapshot());
+});
+
+// Start counting from zero, e.g. before a load test run
+app.delete('/api/metrics', (req, res) => {
+  resetMetrics();
+  res.json(metricsSnapshot());
+});
+
+// Webhooks are global; each can be limited to one inbox with `inbox`
+const findWebhook = (id) => config.webhooks.find(hook => hook.id === id);
+
+app.get('/api/webhooks', (req, res) => {
+  res.json(config.webhooks.map(redactWebhook));
+});
+
+// Register a webhook: { url, events?, inbox?, secret?, enabled? }. The response includes the secret.
+app.post('/api/webhooks', (req, res) => {
+  let hook;
+  try {
+    hook = normalizeWebhook({ ...req.body, id: undefined }, config.webhooks.length);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  config.webhooks = [...config.webhooks, hook];
+  persistConfig();
+  publishConfig();
+  res.status(201).json(hook);
+});
+
+app.get('/api/webhooks/:id', (req, res) => {
+  const hook = findWebhook(req.params.id);
+  if (!hook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(redactWebhook(hook));
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  if (!findWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  config.webhooks = config.webhooks.filter(hook => hook.id !== req.params.id);
+  forgetDeliveries(req.params.id);
+  persistConfig();
+  publishConfig();
+  res.json({ success: true });
+});
+
+// Delivery history (newest first) with every attempt's status code or error
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+  if (!findWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(listDeliveries(req.params.id));
+});
+
+// Send a "ping" event to check the URL and signature handling
+app.post('/api/webhooks/:id/ping', (req, res) => {
+  const hook = findWebhook(req.params.id);
+  if (!hook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.status(202).json(pingWebhook(hook));
+});
+
+// Mailbox routes, mounted for all inboxes at /api and for one inbox at /api/inboxes/:inbox
+const mailbox = express.Router({ mergeParams: true });
+
+// Whether a stored email/error is visible through this request's mount point
+const inScope = (req) => (record) => !req.params.inbox || inboxOf(record) === req.params.inbox;
+
+const findEmail = (req, id) => {
+  const email = store.getEmail(id);
+  return email && inScope(req)(email) ? email : null;
+};
+
+// List email summaries (filters: from, to, subject, q, since, until, hasAttachments)
+mailbox.get('/emails', (req, res) => {
+  try {
+    const emails = store.listEmails().filter(inScope(req));
+    const { items, total, nextCursor } = queryEmails(emails, req.query);
+    
+    res.setHeader('X-Total-Count', total);
+    if (nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.setHeader('X-Next-Cursor', nextCursor);
+      res.setHeader('Link', `<${req.baseUrl}/emails?${params}>; rel="next"`);
+    }
+    res.json(items.map(toSummary));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Wait for an email matching the list filters (long-poll for test suites)
+mailbox.get('/emails/wait', async (req, res) => {
+  const timeout = req.query.timeout === undefined ? 10000 : Number(req.query.timeout);
+  if (!Number.isInteger(timeout) || timeout < 0 || timeout > 5 * 60 * 1000) {
+    return res.status(400).json({ error: '"timeout" must be between 0 and 300000 ms' });
+  }
+  
+  let matches;
+  try {
+    const filter = buildFilter(req.query);
+    matches = (email) => inScope(req)(email) && filter(email);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  
+  // A matching email may already have arrived before the request was made.
+  // With `after` (an email id), only mail stored after that email counts.
+  let earlier = store.listEmails();
+  if (req.query.after) {
+    const index = earlier.findIndex(e => e.id === req.query.after);
+    if (index === -1) {
+      return res.status(400).json({ error: `Unknown "after" email: ${req.query.after}` });
+    }
+    earlier = earlier.slice(0, index);
+  }
+  const existing = earlier.find(matches);
+  if (existing) {
+    return res.json(existing);
+  }
+  
+  const { promise, cancel } = waitForEmail(matches, timeout);
+  res.on('close', cancel);
+  
+  const email = await promise;
+  if (res.writableEnded || res.destroyed) return;
+  if (!email) {
+    return res.status(408).json({ error: `No matching email received within ${timeout}ms` });
+  }
+  res.json(email);
+});
+
+// Links and one-time codes found in an email
+mailbox.get('/emails/:id/links', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json({
+    links: extractLinks(email),
+    codes: extractCodes(email),
+  });
+});
+
+// Original RFC 822 source (?download=1 to save it as a .eml file)
+mailbox.get('/emails/:id/raw', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  const raw = email && store.getRaw(email.id);
+  if (!raw) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  
+  const disposition = req.query.download ? 'attachment' : 'inline';
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${email.id}.eml"`);
+  res.setHeader('Content-Length', raw.length);
+  res.send(raw);
+});
+
+// MIME part tree with headers, charsets, transfer encodings and warnings
+mailbox.get('/emails/:id/mime', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  const raw = email && store.getRaw(email.id);
+  if (!raw) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json(mimeTree(raw));
+});
+
+// HTML compatibility and quality report
+mailbox.get('/emails/:id/check', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json(checkEmail(email, store.getRaw(email.id)));
+});
+
+// Spam score with the rules that fired
+mailbox.get('/emails/:id/spam', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json(scoreEmail(email, store.getRaw(email.id)));
+});
+
+// SMTP transcript and timeline, plus every attempt with the same Message-ID
+// (rejected ones from the error log and stored duplicates), oldest first
+mailbox.get('/emails/:id/transcript', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  
+  const sameMessage = (record) => Boolean(email.messageId) && record.messageId === email.messageId && inScope(req)(record);
+  const attempts = [
+    ...store.listErrors().filter(sameMessage).map(error => ({
+      outcome: 'rejected',
+      id: error.id,
+      type: error.type,
+      timestamp: error.timestamp,
+      code: error.code,
+      message: error.message,
+      transcript: error.transcript || null,
+    })),
+    ...store.listEmails().filter(sameMessage).map(stored => ({
+      outcome: 'stored',
+      id: stored.id,
+      type: null,
+      timestamp: stored.receivedAt,
+      code: stored.transcript?.response?.code ?? null,
+      message: stored.transcript?.response?.message ?? null,
+      transcript: stored.transcript || null,
+    })),
+  ].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  
+  res.json({
+    messageId: email.messageId || null,
+    transcript: email.transcript || null,
+    attempts,
+  });
+});
+
+// Relay an email upstream, to its original recipients or `to` (an address or a list)
+mailbox.post('/emails/:id/release', async (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  if (!config.relay.host) {
+    return res.status(400).json({ error: 'No relay host configured' });
+  }
+  
+  const to = req.body?.to
+    ? [].concat(req.body.to).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+    : email.envelope?.to || [];
+  if (!to.length) {
+    return res.status(400).json({ error: 'No recipients to relay to' });
+  }
+  const invalid = to.find(address => !/^[^\s@]+@[^\s@]+$/.test(address));
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid recipient "${invalid}"` });
+  }
+  
+  const attempt = await releaseEmail(email, { to });
+  res.status(attempt.status === 'sent' ? 200 : 502).json(attempt);
 });
 
 // Get single email (without attachment content for lighter response)
-app.get('/api/emails/:id', (req, res) => {
-  const email = emails.find(e => e.id === req.params.id);
+mailbox.get('/emails/:id', (req, res) => {
+  const email = findEmail(req, req.params.id);
   if (!email) {
     return res.status(404).json({ error: 'Email not found' });
   }
-  // Return email with attachment metadata only (not content)
-  const emailResponse = {
+  // Attachment content lives in the store, so the record only has metadata.
+  // previewHtml is the HTML with cid: images loading from the inline route.
+  res.json({
     ...email,
-    attachments: email.attachments.map(a => ({
-      id: a.id,
-      filename: a.filename,
-      contentType: a.contentType,
-      size: a.size,
-      cid: a.cid,
-    })),
-  };
-  res.json(emailResponse);
+    previewHtml: linkInlineParts(email.html, email.attachments, attachment => (
+      `${req.baseUrl}/emails/${email.id}/attachments/${attachment.id}/inline`
+    )),
+  });
 });
 
 // Download attachment
-app.get('/api/emails/:emailId/attachments/:attachmentId', (req, res) => {
-  const email = emails.find(e => e.id === req.params.emailId);
+mailbox.get('/emails/:emailId/attachments/:attachmentId', (req, res) => {
+  const email = findEmail(req, req.params.emailId);
   if (!email) {
     return res.status(404).json({ error: 'Email not found' });
   }
   
   const attachment = email.attachments.find(a => a.id === req.params.attachmentId);
-  if (!attachment) {
+  const buffer = attachment && store.getAttachmentContent(email.id, attachment.id);
+  if (!buffer) {
     return res.status(404).json({ error: 'Attachment not found' });
   }
   
-  const buffer = Buffer.from(attachment.content, 'base64');
-  
   res.setHeader('Content-Type', attachment.contentType);
   res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename}"`);
   res.setHeader('Content-Length', buffer.length);
@@ -233,19 +958,18 @@ app.get('/api/emails/:emailId/attachments/:attachmentId', (req, res) => {
 });
 
 // Get attachment as inline (for preview)
-app.get('/api/emails/:emailId/attachments/:attachmentId/inline', (req, res) => {
-  const email = emails.find(e => e.id === req.params.emailId);
+mailbox.get('/emails/:emailId/attachments/:attachmentId/inline', (req, res) => {
+  const email = findEmail(req, req.params.emailId);
   if (!email) {
     return res.status(404).json({ error: 'Email not found' });
   }
   
   const attachment = email.attachments.find(a => a.id === req.params.attachmentId);
-  if (!attachment) {
+  const buffer = attachment && store.getAttachmentContent(email.id, attachment.id);
+  if (!buffer) {
     return res.status(404).json({ error: 'Attachment not found' });
   }
   
-  const buffer = Buffer.from(attachment.content, 'base64');
-  
   res.setHeader('Content-Type', attachment.contentType);
   res.setHeader('Content-Disposition', `inline; filename="${attachment.filename}"`);
   res.setHeader('Content-Length', buffer.length);
@@ -253,75 +977,417 @@ app.get('/api/emails/:emailId/attachments/:attachmentId/inline', (req, res) => {
 });
 
 // Delete email
-app.delete('/api/emails/:id', (req, res) => {
-  const index = emails.findIndex(e => e.id === req.params.id);
-  if (index === -1) {
+mailbox.delete('/emails/:id', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email || !store.deleteEmail(email.id)) {
     return res.status(404).json({ error: 'Email not found' });
   }
-  emails.splice(index, 1);
+  publish('email.deleted', { id: email.id, inbox: inboxOf(email) });
   res.json({ success: true });
 });
 
 // Delete all emails
-app.delete('/api/emails', (req, res) => {
-  emails.length = 0;
+mailbox.delete('/emails', (req, res) => {
+  store.clearEmails(inScope(req));
+  publish('emails.cleared', { inbox: req.params.inbox || null });
   res.json({ success: true });
 });
 
+// Download matching emails (same filters as the list) as one mbox, a zip of .eml files or JSON
+mailbox.get('/export', (req, res) => {
+  const format = req.query.format || 'mbox';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `"format" must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  
+  let emails;
+  try {
+    emails = store.listEmails().filter(inScope(req)).filter(buildFilter(req.query));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  
+  const filename = `sandbox-mailer-${req.params.inbox || 'all'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('X-Total-Count', emails.length);
+  if (format === 'json') {
+    return res.json(emails);
+  }
+  
+  // Oldest first, the order mail clients append to an mbox
+  const messages = emails
+    .map(email => ({ email, raw: store.getRaw(email.id) }))
+    .filter(({ raw }) => raw)
+    .reverse();
+  if (format === 'zip') {
+    res.setHeader('Content-Type', 'application/zip');
+    return res.send(createZip(messages.map(({ email, raw }) => ({ name: `${email.id}.eml`, content: raw, date: email.receivedAt }))));
+  }
+  res.setHeader('Content-Type', 'application/mbox');
+  res.send(toMbox(messages.map(({ email, raw }) => ({ raw, from: email.envelope?.from !== 'unknown' && email.envelope?.from, date: email.receivedAt }))));
+});
+
+// Load an mbox or a single .eml (the request body) through the same path as SMTP delivery.
+// Rate limits, latency, faults and auto-relay don't apply to imports.
+mailbox.post('/import', express.raw({ type: () => true, limit: IMPORT_LIMIT }), async (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!body.length) {
+    return res.status(400).json({ error: 'Send an mbox or .eml file as the request body' });
+  }
+  
+  const messages = isMbox(body) ? splitMbox(body) : [{ from: null, raw: body }];
+  const imported = [];
+  const failed = [];
+  
+  for (const [index, { from, raw }] of messages.entries()) {
+    try {
+      const parsed = await parseMessage(raw);
+      // Without an SMTP envelope, the headers say who it was from and to
+      const toAddresses = ['to', 'cc', 'bcc']
+        .flatMap(field => parsed[field]?.value || [])
+        .flatMap(address => address.group || [address])
+        .map(address => address.address)
+        .filter(Boolean);
+      const fromAddress = from || parsed.from?.value?.[0]?.address || 'unknown';
+      const inbox = req.params.inbox || resolveInbox({ user: null, recipients: toAddresses }, config.inboxRules);
+      
+      const email = await storeMessage(raw, { fromAddress, toAddresses, inbox, parsed });
+      imported.push(toSummary(email));
+    } catch (err) {
+      failed.push({ index, error: err.message });
+    }
+  }
+  
+  console.log(`📥 Imported ${imported.length} of ${messages.length} message(s)`);
+  res.status(imported.length ? 201 : 400).json({ imported, failed });
+});
+
 // Get errors
-app.get('/api/errors', (req, res) => {
-  res.json(errors);
+mailbox.get('/errors', (req, res) => {
+  res.json(store.listErrors().filter(inScope(req)));
 });
 
 // Clear errors
-app.delete('/api/errors', (req, res) => {
-  errors.length = 0;
+mailbox.delete('/errors', (req, res) => {
+  store.clearErrors(inScope(req));
+  publish('errors.cleared', { inbox: req.params.inbox || null });
   res.json({ success: true });
 });
 
-// Get config
-app.get('/api/config', (req, res) => {
-  res.json(config);
+// Bounces and auto-replies generated by the bounce rules, newest first
+mailbox.get('/bounces', (req, res) => {
+  res.json(listBounces().filter(inScope(req)));
+});
+
+// Get config (an inbox gets the global settings with its overrides applied)
+mailbox.get('/config', (req, res) => {
+  res.json(req.params.inbox ? inboxConfig(config, req.params.inbox) : redactConfig(config));
 });
 
 // Update config
-app.put('/api/config', (req, res) => {
-  const { rateLimit, latency } = req.body;
+mailbox.put('/config', (req, res) => {
+  const { inbox } = req.params;
   
-  if (rateLimit) {
-    config.rateLimit = { ...config.rateLimit, ...rateLimit };
+  // Saving a scenario starts it again from its first phase
+  if (req.body.latency?.scenario) {
+    req.body.latency.scenario = { ...req.body.latency.scenario, startedAt: new Date().toISOString() };
   }
   
-  if (latency) {
-    config.latency = { ...config.latency, ...latency };
+  if (inbox) {
+    // Only rateLimit/latency can be overridden per inbox
+    const overrides = { ...config.inboxes[inbox] };
+    INBOX_SETTINGS.forEach(key => {
+      if (req.body[key]) overrides[key] = { ...overrides[key], ...req.body[key] };
+    });
+    try {
+      config.inboxes[inbox] = normalizeInboxes({ [inbox]: overrides }, config)[inbox];
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  } else {
+    // Masked secrets sent back unchanged keep their current values
+    const { rateLimit, latency, retention, inboxRules, inboxes, faults, tls, auth, dkim, relay, webhooks, policy, bounces } = restoreSecrets(req.body, config);
+    // Every section is checked before any of them goes live, so a bad one
+    // leaves the running config untouched
+    const next = {};
+    
+    try {
+      if (faults !== undefined) next.faults = normalizeFaultRules(faults);
+      if (bounces !== undefined) next.bounces = normalizeBounceRules(bounces);
+      if (auth) next.auth = normalizeAuth({ ...config.auth, ...auth });
+      if (dkim) next.dkim = normalizeDkim({ ...config.dkim, ...dkim });
+      if (relay) next.relay = normalizeRelay({ ...config.relay, ...relay });
+      if (webhooks !== undefined) next.webhooks = normalizeWebhooks(webhooks);
+      if (policy) next.policy = normalizePolicy({ ...config.policy, ...policy });
+      if (latency) next.latency = normalizeLatency({ ...config.latency, ...latency });
+      if (rateLimit) next.rateLimit = normalizeRateLimit({ ...config.rateLimit, ...rateLimit });
+      if (retention) next.retention = normalizeRetention({ ...config.retention, ...retention });
+      if (inboxRules !== undefined) next.inboxRules = normalizeInboxRules(inboxRules);
+      // Inbox latency is checked against the global latency it will apply on top of
+      if (inboxes) next.inboxes = normalizeInboxes({ ...config.inboxes, ...inboxes }, { ...config, ...next });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    
+    // Listeners can't change without a restart
+    if (tls?.required !== undefined) {
+      next.tls = { ...config.tls, required: Boolean(tls.required) };
+    }
+    
+    if (next.faults) resetFaultCounters(config.faults, next.faults);
+    Object.assign(config, next);
+    
+    if (next.policy) {
+      smtpServers.forEach(server => {
+        server.options.size = config.policy.maxMessageBytes;
+      });
+    }
+    if (next.retention) {
+      publishEvictions(store.prune());
+    }
   }
   
-  console.log('📝 Config updated:', config);
-  res.json(config);
+  console.log(`📝 Config updated${inbox ? ` for inbox "${inbox}"` : ''}:`, redactConfig(config));
+  persistConfig();
+  publishConfig();
+  res.json(inbox ? inboxConfig(config, inbox) : redactConfig(config));
+});
+
+// Drop an inbox's overrides so it follows the global settings again
+mailbox.delete('/config', (req, res) => {
+  if (!req.params.inbox) {
+    return res.status(400).json({ error: 'Only inbox overrides can be reset' });
+  }
+  delete config.inboxes[req.params.inbox];
+  persistConfig();
+  publishConfig();
+  res.json(inboxConfig(config, req.params.inbox));
 });
 
 // Get stats
-app.get('/api/stats', (req, res) => {
+mailbox.get('/stats', (req, res) => {
+  const { inbox } = req.params;
+  const emails = store.listEmails().filter(inScope(req));
+  const oneSecondAgo = Date.now() - 1000;
+  
   res.json({
     totalEmails: emails.length,
-    totalErrors: errors.length,
-    emailsInCurrentSecond,
-    config,
+    totalErrors: store.listErrors().filter(inScope(req)).length,
+    emailsInCurrentSecond: emails.filter(e => Date.parse(e.receivedAt) > oneSecondAgo).length,
+    rateLimits: rateLimitState(inbox),
+    latencyPhase: currentPhase((inbox ? inboxConfig(config, inbox) : config).latency.scenario),
+    storage: store.driver,
+    configFile: configFile && { path: configFile, writeBack: serverOptions.writeBack },
+    zoneFile: serverOptions.zoneFile,
+    eventClients: clientCount(),
+    config: inbox ? inboxConfig(config, inbox) : redactConfig(config),
+  });
+});
+
+app.use('/api/inboxes/:inbox', mailbox);
+app.use('/api', mailbox);
+
+// MailHog/Mailpit-compatible routes, mounted at / and for one inbox at /inboxes/:inbox
+// so existing clients only need their base URL changed
+const compat = express.Router({ mergeParams: true });
+
+const sendCompatError = (res, err) => res.status(err.status || 500).json({ error: err.message });
+
+const mailHogPage = (req, res, emails) => {
+  try {
+    const items = paginate(emails, req.query);
+    res.json({
+      total: emails.length,
+      count: items.length,
+      start: Number(req.query.start || 0),
+      items: items.map(email => toMailHogMessage(email, store.getRaw(email.id) || undefined)),
+    });
+  } catch (err) {
+    sendCompatError(res, err);
+  }
+};
+
+const mailpitPage = (req, res, emails) => {
+  try {
+    const items = paginate(emails, req.query);
+    // Nothing is ever read, so the whole mailbox is unread
+    const total = store.listEmails().filter(inScope(req)).length;
+    res.json({
+      total,
+      unread: total,
+      count: items.length,
+      messages_count: emails.length,
+      start: Number(req.query.start || 0),
+      tags: [],
+      messages: items.map(toMailpitSummary),
+    });
+  } catch (err) {
+    sendCompatError(res, err);
+  }
+};
+
+// Delete emails and tell the UI, like DELETE /api/emails/:id does
+const deleteEmails = (emails) => {
+  emails.forEach(email => {
+    if (store.deleteEmail(email.id)) publish('email.deleted', { id: email.id, inbox: inboxOf(email) });
   });
+};
+
+// Mailpit's "latest" stands for the newest message
+const findCompatEmail = (req) => (req.params.id === 'latest'
+  ? store.listEmails().find(inScope(req)) || null
+  : findEmail(req, req.params.id));
+
+// MailHog: newest first, ?start=&limit=
+compat.get('/api/v2/messages', (req, res) => {
+  mailHogPage(req, res, store.listEmails().filter(inScope(req)));
+});
+
+// MailHog: ?kind=from|to|containing&query=
+compat.get('/api/v2/search', (req, res) => {
+  let filter;
+  try {
+    filter = mailHogSearchFilter(req.query);
+  } catch (err) {
+    return sendCompatError(res, err);
+  }
+  mailHogPage(req, res, store.listEmails().filter(inScope(req)).filter(filter));
+});
+
+// MailHog: original source
+compat.get('/api/v1/messages/:id/download', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  const raw = email && store.getRaw(email.id);
+  if (!raw) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Disposition', `attachment; filename="${email.id}.eml"`);
+  res.send(raw);
+});
+
+// MailHog: delete one message
+compat.delete('/api/v1/messages/:id', (req, res) => {
+  const email = findEmail(req, req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  deleteEmails([email]);
+  res.send('ok');
+});
+
+// Mailpit: newest first, ?start=&limit=
+compat.get('/api/v1/messages', (req, res) => {
+  mailpitPage(req, res, store.listEmails().filter(inScope(req)));
+});
+
+// Mailpit ({ IDs: [...] }) and MailHog (no body): delete the given messages, or all of them
+compat.delete('/api/v1/messages', (req, res) => {
+  const ids = req.body?.IDs;
+  if (Array.isArray(ids) && ids.length) {
+    deleteEmails(ids.map(id => findEmail(req, id)).filter(Boolean));
+  } else {
+    store.clearEmails(inScope(req));
+    publish('emails.cleared', { inbox: req.params.inbox || null });
+  }
+  res.send('ok');
+});
+
+// Mailpit: ?query= in Mailpit's search syntax
+compat.get('/api/v1/search', (req, res) => {
+  let filter;
+  try {
+    filter = mailpitSearchFilter(req.query.query);
+  } catch (err) {
+    return sendCompatError(res, err);
+  }
+  mailpitPage(req, res, store.listEmails().filter(inScope(req)).filter(filter));
+});
+
+// Mailpit: delete everything matching ?query=
+compat.delete('/api/v1/search', (req, res) => {
+  try {
+    deleteEmails(store.listEmails().filter(inScope(req)).filter(mailpitSearchFilter(req.query.query)));
+    res.send('ok');
+  } catch (err) {
+    sendCompatError(res, err);
+  }
+});
+
+// Mailpit: one message (":id" may be "latest")
+compat.get('/api/v1/message/:id', (req, res) => {
+  const email = findCompatEmail(req);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json(toMailpitMessage(email, store.getRaw(email.id) || undefined));
 });
 
+// Mailpit: original source as plain text
+compat.get('/api/v1/message/:id/raw', (req, res) => {
+  const email = findCompatEmail(req);
+  const raw = email && store.getRaw(email.id);
+  if (!raw) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.send(raw);
+});
+
+// Mailpit: headers as { Name: [values] }
+compat.get('/api/v1/message/:id/headers', (req, res) => {
+  const email = findCompatEmail(req);
+  const raw = email && store.getRaw(email.id);
+  if (!raw) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  res.json(headerMap(mimeTree(raw).headers));
+});
+
+// Mailpit: attachment or inline part content (PartID is the attachment id)
+compat.get('/api/v1/message/:id/part/:partId', (req, res) => {
+  const email = findCompatEmail(req);
+  if (!email) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  const attachment = email.attachments.find(a => a.id === req.params.partId);
+  const buffer = attachment && store.getAttachmentContent(email.id, attachment.id);
+  if (!buffer) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+  res.setHeader('Content-Type', attachment.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${attachment.filename}"`);
+  res.send(buffer);
+});
+
+app.use('/inboxes/:inbox', compat);
+app.use(compat);
+
 // Start servers
-const HTTP_PORT = 8025;
-const SMTP_PORT = 2525;
+const HTTP_PORT = serverOptions.httpPort;
+const SMTP_PORT = serverOptions.smtpPort;
+// Empty means all interfaces
+const HOST = serverOptions.host || undefined;
+const DISPLAY_HOST = HOST && !['0.0.0.0', '::'].includes(HOST) ? HOST : 'localhost';
 
-smtpServer.listen(SMTP_PORT, () => {
+// e.g. a second instance on the default ports
+const onListenError = (name, flag) => (err) => {
+  console.error(`❌ ${name} failed: ${err.message}`);
+  if (err.code === 'EADDRINUSE') {
+    console.error(`   Another server is using that port; pick a different one with ${flag}`);
+  }
+  process.exit(1);
+};
+
+smtpServer.on('error', onListenError(`SMTP server on port ${SMTP_PORT}`, '--smtp-port'));
+smtpServer.listen(SMTP_PORT, HOST, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                                                            ║
 ║   📧  SANDBOX MAILER                                       ║
 ║                                                            ║
-║   SMTP Server: localhost:${SMTP_PORT}                          ║
-║   Web UI:      http://localhost:${HTTP_PORT}                    ║
+║   SMTP Server: ${DISPLAY_HOST}:${SMTP_PORT}                          ║
+║   Web UI:      http://${DISPLAY_HOST}:${HTTP_PORT}                    ║
 ║                                                            ║
 ║   Laravel .env configuration:                              ║
 ║   ─────────────────────────────                            ║
@@ -334,9 +1400,27 @@ smtpServer.listen(SMTP_PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+  if (config.tls.starttls) {
+    console.log(`🔐 STARTTLS enabled on port ${SMTP_PORT} (${tlsCredentials.source})`);
+  }
+  if (configFile) {
+    console.log(`⚙️  Config file: ${configFile}${serverOptions.writeBack ? ' (changes are saved)' : ''}`);
+  }
 });
 
-app.listen(HTTP_PORT, () => {
-  console.log(`🌐 Web UI running at http://localhost:${HTTP_PORT}`);
-});
+if (smtpsServer) {
+  smtpsServer.on('error', (err) => {
+    console.error(`❌ SMTPS listener on port ${config.tls.implicitPort} failed: ${err.message}`);
+    if (err.code === 'EACCES') {
+      console.error('   Ports below 1024 need extra privileges; use --smtps-port (or MAILER_SMTPS_PORT) e.g. 4650');
+    }
+  });
+  smtpsServer.listen(config.tls.implicitPort, HOST, () => {
+    console.log(`🔐 SMTPS (implicit TLS) listening on port ${config.tls.implicitPort} (${tlsCredentials.source})`);
+  });
+}
+
+app.listen(HTTP_PORT, HOST, () => {
+  console.log(`🌐 Web UI running at http://${DISPLAY_HOST}:${HTTP_PORT}`);
+}).on('error', onListenError(`Web UI on port ${HTTP_PORT}`, '--http-port'));
 
@@ -0,0 +1,238 @@
+// Latency profiles for the SMTP server: delays drawn from a distribution at
+// each stage of a session, scenarios that switch profiles over time (e.g. to
+// reproduce a provider brownout), and replies trickled out a few bytes at a time
+import { createHttpError } from './errors.js';
+
+// connect: before the greeting
+// ehlo:    before the EHLO/HELO reply
+// rcpt:    before each RCPT TO reply
+// data:    after DATA, before the message is read (the top-level profile)
+export const LATENCY_STAGES = ['connect', 'ehlo', 'rcpt', 'data'];
+
+// uniform:     between minMs and maxMs
+// normal:      around meanMs with stdDevMs, kept within minMs..maxMs
+// exponential: averaging meanMs, kept within minMs..maxMs
+// long-tail:   uniform, except that a spikeRate share of delays (0.01 = p99) take spikeMs
+export const LATENCY_DISTRIBUTIONS = ['uniform', 'normal', 'exponential', 'long-tail'];
+
+const PROFILE_DEFAULTS = { distribution: 'uniform', minMs: 0, maxMs: 0, meanMs: 0, stdDevMs: 0, spikeMs: 0, spikeRate: 0.01 };
+const PROFILE_FIELDS = ['minMs', 'maxMs', 'meanMs', 'stdDevMs', 'spikeMs'];
+
+// Trickled replies are written in steps this far apart
+const TRICKLE_INTERVAL_MS = 100;
+
+// Sockets whose writes already go through shapeReplies
+const shaped = new WeakSet();
+
+// Only the fields that are set are returned, so phases can override part of a profile
+const checkProfile = (profile, label) => {
+  if (!profile || typeof profile !== 'object') {
+    throw createHttpError(400, `${label} must be an object`);
+  }
+  if (profile.distribution !== undefined && !LATENCY_DISTRIBUTIONS.includes(profile.distribution)) {
+    throw createHttpError(400, `${label}: distribution must be one of ${LATENCY_DISTRIBUTIONS.join(', ')}`);
+  }
+
+  const checked = profile.distribution ? { distribution: profile.distribution } : {};
+  PROFILE_FIELDS.forEach(field => {
+    if (profile[field] === undefined) return;
+    const value = Number(profile[field]);
+    if (!(Number.isFinite(value) && value >= 0)) {
+      throw createHttpError(400, `${label}: ${field} must be a non-negative number of milliseconds`);
+    }
+    checked[field] = value;
+  });
+  if (checked.maxMs && checked.minMs > checked.maxMs) {
+    throw createHttpError(400, `${label}: maxMs must be at least minMs`);
+  }
+  if (profile.spikeRate !== undefined) {
+    const rate = Number(profile.spikeRate);
+    if (!(rate >= 0 && rate <= 1)) {
+      throw createHttpError(400, `${label}: spikeRate must be between 0 and 1`);
+    }
+    checked.spikeRate = rate;
+  }
+  return checked;
+};
+
+const checkStages = (stages, label) => {
+  if (!stages || typeof stages !== 'object') {
+    throw createHttpError(400, `${label} must be an object`);
+  }
+  return Object.fromEntries(Object.entries(stages).map(([stage, profile]) => {
+    if (!LATENCY_STAGES.includes(stage)) {
+      throw createHttpError(400, `${label}: unknown stage "${stage}" (expected ${LATENCY_STAGES.join(', ')})`);
+    }
+    return [stage, checkProfile(profile, `${label}.${stage}`)];
+  }));
+};
+
+const checkTrickle = (value, label) => {
+  const rate = Number(value);
+  if (!(Number.isFinite(rate) && rate >= 0)) {
+    throw createHttpError(400, `${label}: trickleBytesPerSecond must be a non-negative number`);
+  }
+  return rate;
+};
+
+// A phase is a partial latency profile (plus stages and trickle rate) applied on
+// top of the base settings for durationMs
+const checkScenario = (scenario) => {
+  if (!Array.isArray(scenario?.phases) || !scenario.phases.length) {
+    throw createHttpError(400, 'latency.scenario.phases must be a non-empty array');
+  }
+
+  const phases = scenario.phases.map((phase, index) => {
+    const label = `Scenario phase ${index + 1}`;
+    const durationMs = Number(phase?.durationMs);
+    if (!(Number.isFinite(durationMs) && durationMs > 0)) {
+      throw createHttpError(400, `${label}: durationMs must be a positive number`);
+    }
+    return {
+      name: phase.name ? String(phase.name) : `phase ${index + 1}`,
+      durationMs,
+      ...checkProfile(phase, label),
+      ...(phase.stages !== undefined && { stages: checkStages(phase.stages, `${label} stages`) }),
+      ...(phase.trickleBytesPerSecond !== undefined && { trickleBytesPerSecond: checkTrickle(phase.trickleBytesPerSecond, label) }),
+    };
+  });
+
+  return {
+    // Start over after the last phase, or stay in it
+    loop: scenario.loop !== false,
+    startedAt: scenario.startedAt || new Date().toISOString(),
+    phases,
+  };
+};
+
+// Validate the latency settings from PUT /api/config or the config file.
+// `scenario: null` removes the scenario.
+export const normalizeLatency = (latency) => {
+  const normalized = { enabled: Boolean(latency?.enabled), ...checkProfile(latency, '"latency"') };
+  if (latency.stages !== undefined) normalized.stages = checkStages(latency.stages, 'latency.stages');
+  if (latency.trickleBytesPerSecond !== undefined) {
+    normalized.trickleBytesPerSecond = checkTrickle(latency.trickleBytesPerSecond, '"latency"');
+  }
+  if (latency.scenario) normalized.scenario = checkScenario(latency.scenario);
+  return normalized;
+};
+
+// The scenario phase in force at `now` with its position, or null without a scenario
+export const currentPhase = (scenario, now = Date.now()) => {
+  if (!scenario?.phases?.length) return null;
+
+  const total = scenario.phases.reduce((sum, phase) => sum + phase.durationMs, 0);
+  let elapsed = Math.max(0, now - Date.parse(scenario.startedAt));
+  if (elapsed >= total) {
+    if (!scenario.loop) {
+      const index = scenario.phases.length - 1;
+      return { ...scenario.phases[index], index, remainingMs: null };
+    }
+    elapsed %= total;
+  }
+
+  for (const [index, phase] of scenario.phases.entries()) {
+    if (elapsed < phase.durationMs) return { ...phase, index, remainingMs: phase.durationMs - elapsed };
+    elapsed -= phase.durationMs;
+  }
+  return null;
+};
+
+// The base settings with the current phase's overrides applied
+const activeSettings = (latency) => {
+  const phase = currentPhase(latency.scenario);
+  if (!phase) return { settings: latency, phase: null };
+
+  const { name, durationMs, index, remainingMs, stages = {}, ...overrides } = phase;
+  const merged = { ...latency, ...overrides, stages: { ...latency.stages } };
+  Object.entries(stages).forEach(([stage, profile]) => {
+    merged.stages[stage] = { ...latency.stages?.[stage], ...profile };
+  });
+  return { settings: merged, phase: name };
+};
+
+// Standard normal sample (Box-Muller)
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+const between = (min, max) => min + Math.random() * (Math.max(min, max) - min);
+
+// maxMs 0 means no upper bound
+const clamp = (value, { minMs, maxMs }) => Math.min(Math.max(value, minMs), maxMs > 0 ? maxMs : Infinity);
+
+const SAMPLERS = {
+  uniform: (p) => between(p.minMs, p.maxMs),
+  normal: (p) => clamp(p.meanMs + p.stdDevMs * gaussian(), p),
+  exponential: (p) => clamp(-p.meanMs * Math.log(1 - Math.random()), p),
+  'long-tail': (p) => (Math.random() < p.spikeRate ? p.spikeMs : between(p.minMs, p.maxMs)),
+};
+
+// One delay in ms from a profile
+export const drawDelay = (profile) => {
+  const settings = { ...PROFILE_DEFAULTS, ...profile };
+  return Math.round(SAMPLERS[settings.distribution](settings));
+};
+
+// Delay for one stage of a session, with the scenario phase it came from.
+// `delay` is null when latency is off or the stage has no profile.
+export const drawStageDelay = (latency, stage) => {
+  if (!latency?.enabled) return { delay: null, phase: null };
+
+  const { settings, phase } = activeSettings(latency);
+  // The top-level profile is the DATA delay, as it was before stages existed
+  const profile = stage === 'data' ? { ...settings, ...settings.stages?.data } : settings.stages?.[stage];
+  return { delay: profile ? drawDelay(profile) : null, phase };
+};
+
+// Bytes per second replies are trickled at right now, 0 for full speed
+export const trickleRate = (latency) => (latency?.enabled ? activeSettings(latency).settings.trickleBytesPerSecond || 0 : 0);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const trickle = async (socket, write, buffer, bytesPerSecond) => {
+  if (!bytesPerSecond) {
+    write(buffer);
+    return;
+  }
+  const step = Math.max(1, Math.round(bytesPerSecond * TRICKLE_INTERVAL_MS / 1000));
+  for (let offset = 0; offset < buffer.length && !socket.destroyed; offset += step) {
+    if (offset) await sleep(step * 1000 / bytesPerSecond);
+    if (!socket.destroyed) write(buffer.subarray(offset, offset + step));
+  }
+};
+
+// Route a connection's replies through a queue so each can be held back and
+// trickled out. `plan()` is asked for { delayMs, bytesPerSecond } as each reply
+// is written; replies keep their order and `end()` waits for the queue.
+export const shapeReplies = (socket, plan) => {
+  if (!socket || shaped.has(socket)) return;
+  shaped.add(socket);
+
+  const write = socket.write.bind(socket);
+  const end = socket.end.bind(socket);
+  let queue = Promise.resolve();
+  let pending = 0;
+
+  socket.write = (chunk, ...args) => {
+    const { delayMs, bytesPerSecond } = plan();
+    if (!pending && !delayMs && !bytesPerSecond) return write(chunk, ...args);
+
+    const encoding = typeof args[0] === 'string' ? args[0] : 'utf8';
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    const done = args.find(arg => typeof arg === 'function');
+    pending++;
+    queue = queue
+      .then(async () => {
+        if (delayMs) await sleep(delayMs);
+        if (!socket.destroyed) await trickle(socket, write, buffer, bytesPerSecond);
+        done?.();
+      })
+      .finally(() => pending--);
+    return true;
+  };
+
+  socket.end = (...args) => {
+    if (!pending) return end(...args);
+    queue = queue.then(() => end(...args));
+    return socket;
+  };
+};
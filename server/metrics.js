@@ -0,0 +1,185 @@
+// In-process metrics for load tests: accepted and rejected messages per second,
+// injected latency and message size histograms, and the busiest senders and
+// recipients, as JSON for the UI and in the Prometheus text format
+
+// Seconds of per-second history kept for the throughput chart
+export const HISTORY_SECONDS = 300;
+
+// Histogram upper bounds; everything above the last one lands in +Inf
+const LATENCY_BUCKETS_MS = [0, 10, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const SIZE_BUCKETS_BYTES = [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024];
+
+// Addresses counted for the top lists; the least used one is forgotten when full
+const MAX_TRACKED_ADDRESSES = 1000;
+const TOP_COUNT = 10;
+
+const createHistogram = (bounds) => ({ bounds, counts: new Array(bounds.length + 1).fill(0), sum: 0, count: 0, max: 0 });
+
+const observe = (histogram, value) => {
+  const index = histogram.bounds.findIndex(bound => value <= bound);
+  histogram.counts[index === -1 ? histogram.bounds.length : index]++;
+  histogram.sum += value;
+  histogram.count++;
+  histogram.max = Math.max(histogram.max, value);
+};
+
+const createState = () => ({
+  since: Date.now(),
+  // "<inbox>" → count and "<inbox>\n<reason>" → count
+  accepted: new Map(),
+  rejected: new Map(),
+  // Unix second → { accepted, rejected }
+  seconds: new Map(),
+  latency: createHistogram(LATENCY_BUCKETS_MS),
+  sizes: createHistogram(SIZE_BUCKETS_BYTES),
+  senders: new Map(),
+  recipients: new Map(),
+});
+
+let state = createState();
+
+const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+const countAddress = (map, address) => {
+  if (!address || address === 'unknown') return;
+  const key = address.toLowerCase();
+  if (!map.has(key) && map.size >= MAX_TRACKED_ADDRESSES) {
+    const [leastUsed] = [...map.entries()].reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+    map.delete(leastUsed);
+  }
+  increment(map, key);
+};
+
+const tick = (field) => {
+  const second = Math.floor(Date.now() / 1000);
+  const bucket = state.seconds.get(second) || { accepted: 0, rejected: 0 };
+  bucket[field]++;
+  state.seconds.set(second, bucket);
+  // Map keys stay in insertion order, so the oldest seconds come first
+  for (const key of state.seconds.keys()) {
+    if (key > second - HISTORY_SECONDS) break;
+    state.seconds.delete(key);
+  }
+};
+
+// A message stored from an SMTP session
+export const recordAccepted = ({ inbox, from, to = [], size }) => {
+  increment(state.accepted, inbox);
+  tick('accepted');
+  observe(state.sizes, size);
+  countAddress(state.senders, from);
+  to.forEach(address => countAddress(state.recipients, address));
+};
+
+// An SMTP attempt turned away; `reason` is the error record type (rate_limit, fault, ...)
+export const recordRejected = ({ inbox, reason, from, to = [] }) => {
+  increment(state.rejected, `${inbox}\n${reason}`);
+  tick('rejected');
+  countAddress(state.senders, from);
+  to.forEach(address => countAddress(state.recipients, address));
+};
+
+// Delay added by the latency simulation, in ms
+export const recordLatency = (ms) => observe(state.latency, ms);
+
+export const resetMetrics = () => {
+  state = createState();
+};
+
+const sumValues = (map) => [...map.values()].reduce((sum, n) => sum + n, 0);
+
+const top = (map) => [...map.entries()]
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, TOP_COUNT)
+  .map(([address, count]) => ({ address, count }));
+
+const describeHistogram = (histogram) => ({
+  count: histogram.count,
+  sum: histogram.sum,
+  mean: histogram.count ? Math.round(histogram.sum / histogram.count) : 0,
+  max: histogram.max,
+  buckets: histogram.counts.map((count, i) => ({ le: histogram.bounds[i] ?? null, count })),
+});
+
+// Everything the dashboard shows; `series` has one entry per second, oldest first
+export const metricsSnapshot = () => {
+  const now = Math.floor(Date.now() / 1000);
+  const series = [];
+  for (let second = now - HISTORY_SECONDS + 1; second <= now; second++) {
+    const bucket = state.seconds.get(second);
+    series.push({ time: second * 1000, accepted: bucket?.accepted || 0, rejected: bucket?.rejected || 0 });
+  }
+
+  const accepted = sumValues(state.accepted);
+  const rejected = sumValues(state.rejected);
+  const reasons = {};
+  state.rejected.forEach((count, key) => {
+    const reason = key.split('\n')[1];
+    reasons[reason] = (reasons[reason] || 0) + count;
+  });
+
+  return {
+    since: new Date(state.since).toISOString(),
+    totals: {
+      accepted,
+      rejected,
+      rejectionRate: accepted + rejected ? rejected / (accepted + rejected) : 0,
+      rejectedByReason: reasons,
+    },
+    series,
+    latencyMs: describeHistogram(state.latency),
+    sizeBytes: describeHistogram(state.sizes),
+    topSenders: top(state.senders),
+    topRecipients: top(state.recipients),
+  };
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labels = (pairs) => {
+  const entries = Object.entries(pairs);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const metric = (name, type, help, samples) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.map(([labelPairs, value, suffix = '']) => `${name}${suffix}${labels(labelPairs)} ${value}`),
+];
+
+// Prometheus histograms have cumulative buckets; `scale` converts units (ms → s)
+const histogramSamples = (histogram, scale = 1) => {
+  let cumulative = 0;
+  return [
+    ...histogram.counts.map((count, i) => {
+      cumulative += count;
+      const le = i < histogram.bounds.length ? String(histogram.bounds[i] * scale) : '+Inf';
+      return [{ le }, cumulative, '_bucket'];
+    }),
+    [{}, histogram.sum * scale, '_sum'],
+    [{}, histogram.count, '_count'],
+  ];
+};
+
+// Text exposition format for GET /metrics; `stored` maps inbox → emails currently kept
+export const prometheusMetrics = ({ stored = {} } = {}) => [
+  ...metric('sandbox_mailer_messages_accepted_total', 'counter', 'Messages accepted over SMTP',
+    [...state.accepted.entries()].map(([inbox, count]) => [{ inbox }, count])),
+  ...metric('sandbox_mailer_messages_rejected_total', 'counter', 'SMTP attempts rejected, by reason',
+    [...state.rejected.entries()].map(([key, count]) => {
+      const [inbox, reason] = key.split('\n');
+      return [{ inbox, reason }, count];
+    })),
+  ...metric('sandbox_mailer_injected_latency_seconds', 'histogram', 'Delay added by the latency simulation',
+    histogramSamples(state.latency, 0.001)),
+  ...metric('sandbox_mailer_message_size_bytes', 'histogram', 'Size of accepted messages',
+    histogramSamples(state.sizes)),
+  ...metric('sandbox_mailer_top_sender_messages', 'gauge', `Messages from the ${TOP_COUNT} busiest envelope senders`,
+    top(state.senders).map(({ address, count }) => [{ address }, count])),
+  ...metric('sandbox_mailer_top_recipient_messages', 'gauge', `Messages to the ${TOP_COUNT} busiest envelope recipients`,
+    top(state.recipients).map(({ address, count }) => [{ address }, count])),
+  ...metric('sandbox_mailer_stored_emails', 'gauge', 'Emails currently in the mailbox',
+    Object.entries(stored).map(([inbox, count]) => [{ inbox }, count])),
+  ...metric('sandbox_mailer_metrics_reset_timestamp_seconds', 'gauge', 'When the counters were last reset',
+    [[{}, Math.floor(state.since / 1000)]]),
+].join('\n') + '\n';
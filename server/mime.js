@@ -0,0 +1,168 @@
+// MIME structure of a raw message, for debugging part ordering, charsets
+// and Content-Transfer-Encoding problems
+
+// Nested message/rfc822 parts and multiparts deeper than this are not expanded
+const MAX_DEPTH = 20;
+
+// Split at the first empty line; messages without one are all headers
+export const splitMessage = (buffer) => {
+  const text = buffer.toString('latin1');
+  // Parts may start with the empty line when they have no headers
+  const match = /^\r?\n|\r?\n\r?\n/.exec(text);
+  if (!match) return { head: buffer, body: Buffer.alloc(0) };
+  return {
+    head: buffer.subarray(0, match.index),
+    body: buffer.subarray(match.index + match[0].length),
+  };
+};
+
+// Unfold continuation lines into one { name, value } per header, in order
+export const parseHeaders = (head) => {
+  const headers = [];
+  head.toString('utf8').replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+  });
+  return headers;
+};
+
+// RFC 2231 values are percent-encoded bytes in the given charset
+const decodePercent = (data, charset) => {
+  const bytes = Buffer.from(data.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+  return bytes.toString(/^utf-?8$/i.test(charset || 'utf-8') ? 'utf8' : 'latin1');
+};
+
+// "text/plain; charset=utf-8" → { value: 'text/plain', params: { charset: 'utf-8' } },
+// including RFC 2231 continuations and encoded values (filename*0*=utf-8''...)
+export const parseStructuredHeader = (header = '') => {
+  const [value, ...rest] = header.match(/("[^"]*"|[^;])+/g) || [''];
+  const pieces = {};
+
+  rest.forEach(piece => {
+    const eq = piece.indexOf('=');
+    if (eq === -1) return;
+    const key = piece.slice(0, eq).trim().toLowerCase();
+    const raw = piece.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    const [, name, index, encoded] = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/) || [];
+    if (!name) return;
+    (pieces[name] = pieces[name] || []).push({ index: Number(index || 0), raw, encoded: Boolean(encoded) });
+  });
+
+  const params = {};
+  Object.entries(pieces).forEach(([name, list]) => {
+    list.sort((a, b) => a.index - b.index);
+    let charset = null;
+    params[name] = list.map(({ raw, encoded }, i) => {
+      if (!encoded) return raw;
+      let data = raw;
+      if (i === 0) {
+        const match = raw.match(/^([^']*)'[^']*'(.*)$/);
+        if (match) [, charset, data] = match;
+      }
+      return decodePercent(data, charset);
+    }).join('');
+  });
+
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const headerValue = (headers, name) => headers.find(h => h.name.toLowerCase() === name)?.value;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a multipart body into its parts; reports a missing closing delimiter
+export const splitMultipart = (body, boundary) => {
+  const text = body.toString('latin1');
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+  const parts = [];
+  let start = null;
+  let closed = false;
+  let match;
+
+  while ((match = delimiter.exec(text))) {
+    if (start !== null) parts.push(body.subarray(start, match.index));
+    if (match[1]) {
+      closed = true;
+      break;
+    }
+    start = match.index + match[0].length;
+  }
+  if (!closed && start !== null) parts.push(body.subarray(start));
+
+  return { parts, closed };
+};
+
+// Non-ASCII bytes are only allowed with 8bit/binary transfer encodings
+const hasEightBitData = (body) => body.some(byte => byte > 0x7e || (byte < 0x20 && ![0x09, 0x0a, 0x0d].includes(byte)));
+
+const buildNode = (buffer, { part, depth, defaultType }) => {
+  const { head, body } = splitMessage(buffer);
+  const headers = parseHeaders(head);
+  const contentType = parseStructuredHeader(headerValue(headers, 'content-type') || defaultType);
+  const disposition = parseStructuredHeader(headerValue(headers, 'content-disposition'));
+  const transferEncoding = (headerValue(headers, 'content-transfer-encoding') || '7bit').toLowerCase();
+  const warnings = [];
+
+  const node = {
+    part,
+    contentType: contentType.value || 'text/plain',
+    charset: contentType.params.charset || null,
+    transferEncoding,
+    disposition: disposition.value || null,
+    filename: disposition.params.filename || contentType.params.name || null,
+    contentId: headerValue(headers, 'content-id') || null,
+    size: body.length,
+    headers,
+    warnings,
+    children: [],
+  };
+
+  const childPart = (index) => (part ? `${part}.${index + 1}` : String(index + 1));
+
+  if (node.contentType.startsWith('multipart/')) {
+    const boundary = contentType.params.boundary;
+    node.boundary = boundary || null;
+    if (!boundary) {
+      warnings.push('Multipart without a boundary parameter');
+    } else if (depth < MAX_DEPTH) {
+      const { parts, closed } = splitMultipart(body, boundary);
+      if (!parts.length) warnings.push(`No parts found for boundary "${boundary}"`);
+      if (!closed) warnings.push(`Missing closing boundary "--${boundary}--"`);
+      const childType = node.contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+      node.children = parts.map((child, index) => buildNode(child, { part: childPart(index), depth: depth + 1, defaultType: childType }));
+    }
+
+    // Clients show the last alternative they understand, so HTML belongs after plain text
+    if (node.contentType === 'multipart/alternative') {
+      const types = node.children.map(child => child.contentType);
+      const plain = types.indexOf('text/plain');
+      const html = types.indexOf('text/html');
+      if (plain !== -1 && html !== -1 && html < plain) {
+        warnings.push('text/html comes before text/plain; most clients will show the plain text version');
+      }
+    }
+  } else if (node.contentType === 'message/rfc822' && depth < MAX_DEPTH) {
+    node.children = [buildNode(body, { part: childPart(0), depth: depth + 1, defaultType: 'text/plain' })];
+  } else {
+    if (['7bit', ''].includes(transferEncoding) && hasEightBitData(body)) {
+      warnings.push('8-bit data in a part declared as 7bit; use quoted-printable or base64');
+    }
+    if (node.contentType.startsWith('text/') && !node.charset && hasEightBitData(body)) {
+      warnings.push('Non-ASCII text without a charset parameter');
+    }
+  }
+
+  if (!['7bit', '8bit', 'binary', 'quoted-printable', 'base64'].includes(transferEncoding)) {
+    warnings.push(`Unknown Content-Transfer-Encoding "${transferEncoding}"`);
+  }
+
+  return node;
+};
+
+// Tree of MIME parts with headers, encodings, sizes and warnings
+export const mimeTree = (raw) => buildNode(raw, { part: '', depth: 0, defaultType: 'text/plain' });
+
+// Whether a message has a plain-text body (not a .txt attachment)
+export const hasTextPart = (node) => (node.contentType === 'text/plain' && node.disposition !== 'attachment')
+  || node.children.some(hasTextPart);
@@ -0,0 +1,103 @@
+// Envelope policies: message size (advertised through the SIZE extension),
+// recipient count, recipient domain allow/deny lists and address syntax
+import { domainMatches } from './inboxes.js';
+import { createHttpError } from './errors.js';
+
+export const DEFAULT_POLICY = {
+  // Largest accepted message in bytes, 0 for no limit
+  maxMessageBytes: 0,
+  // Most recipients per message, 0 for no limit
+  maxRecipients: 0,
+  // Recipient domains ("shop.com", "*.shop.com"); empty allows every domain
+  allowedDomains: [],
+  // Always refused, even when also on the allow-list
+  deniedDomains: [],
+  // Refuse senders and recipients that aren't valid addresses
+  rejectMalformed: false,
+};
+
+// RFC 5321 limits
+const MAX_LOCAL_LENGTH = 64;
+const MAX_ADDRESS_LENGTH = 254;
+
+// Dot-atom or quoted-string local part
+const LOCAL_PART = /^(?:[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(?:\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*|"(?:[^"\\\r\n]|\\.)*")$/u;
+const DOMAIN_LABEL = /^[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?$/u;
+const ADDRESS_LITERAL = /^\[(?:\d{1,3}(?:\.\d{1,3}){3}|IPv6:[0-9a-f:.]+)\]$/i;
+
+const limit = (value, name) => {
+  const number = Number(value);
+  if (!(Number.isInteger(number) && number >= 0)) {
+    throw createHttpError(400, `"policy.${name}" must be a non-negative integer (0 for no limit)`);
+  }
+  return number;
+};
+
+const domainList = (list, name) => {
+  if (!Array.isArray(list)) {
+    throw createHttpError(400, `"policy.${name}" must be an array of domains`);
+  }
+  return list.map(entry => String(entry).trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+};
+
+// Validate policy settings from PUT /api/config or the config file
+export const normalizePolicy = (policy) => {
+  const normalized = { ...DEFAULT_POLICY, ...policy };
+  return {
+    maxMessageBytes: limit(normalized.maxMessageBytes, 'maxMessageBytes'),
+    maxRecipients: limit(normalized.maxRecipients, 'maxRecipients'),
+    allowedDomains: domainList(normalized.allowedDomains, 'allowedDomains'),
+    deniedDomains: domainList(normalized.deniedDomains, 'deniedDomains'),
+    rejectMalformed: Boolean(normalized.rejectMalformed),
+  };
+};
+
+// Whether an envelope address is a syntactically valid mailbox (local@domain)
+export const isValidAddress = (address = '') => {
+  const at = address.lastIndexOf('@');
+  if (at < 1 || address.length > MAX_ADDRESS_LENGTH) return false;
+
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  if (local.length > MAX_LOCAL_LENGTH || !LOCAL_PART.test(local)) return false;
+  if (ADDRESS_LITERAL.test(domain)) return true;
+  return domain.split('.').every(label => label.length <= 63 && DOMAIN_LABEL.test(label));
+};
+
+// Each check returns null when the address or message passes, or the rejection
+// { rule, code, text } to send back
+
+// The null sender (<>) used by bounces is always accepted
+export const checkSender = (policy, address) => {
+  if (policy.rejectMalformed && address && !isValidAddress(address)) {
+    return { rule: 'malformed', code: 501, text: `5.1.7 Bad sender address syntax: <${address}>` };
+  }
+  return null;
+};
+
+// `accepted` is the number of recipients already accepted for this message
+export const checkRecipient = (policy, address, accepted) => {
+  if (policy.rejectMalformed && !isValidAddress(address)) {
+    return { rule: 'malformed', code: 501, text: `5.1.3 Bad recipient address syntax: <${address}>` };
+  }
+  if (policy.maxRecipients && accepted >= policy.maxRecipients) {
+    return { rule: 'max_recipients', code: 452, text: `4.5.3 Too many recipients (at most ${policy.maxRecipients} per message)` };
+  }
+
+  const domain = address.split('@').pop().toLowerCase();
+  if (policy.deniedDomains.some(pattern => domainMatches(domain, pattern))) {
+    return { rule: 'denied_domain', code: 550, text: `5.7.1 Recipient domain ${domain} is on the deny-list` };
+  }
+  if (policy.allowedDomains.length && !policy.allowedDomains.some(pattern => domainMatches(domain, pattern))) {
+    return { rule: 'domain_not_allowed', code: 550, text: `5.7.1 Recipient domain ${domain} is not on the allow-list` };
+  }
+  return null;
+};
+
+// `bytes` is the size of the DATA the client sent
+export const checkSize = (policy, bytes) => {
+  if (policy.maxMessageBytes && bytes > policy.maxMessageBytes) {
+    return { rule: 'max_size', code: 552, text: `5.3.4 Message size exceeds fixed maximum message size (${policy.maxMessageBytes} bytes)` };
+  }
+  return null;
+};
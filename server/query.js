@@ -0,0 +1,121 @@
+// Filtering, pagination and summaries for the email list API
+import { inboxOf } from './inboxes.js';
+import { createHttpError } from './errors.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+const PREVIEW_LENGTH = 200;
+
+// Inline images embedded in the HTML don't count as attachments
+const realAttachments = (email) => email.attachments.filter(a => !a.inline);
+
+// Lightweight list entry: no bodies, headers or attachment data
+export const toSummary = (email) => ({
+  id: email.id,
+  inbox: inboxOf(email),
+  from: email.from,
+  to: email.to,
+  cc: email.cc,
+  subject: email.subject,
+  preview: email.text.replace(/\s+/g, ' ').trim().substring(0, PREVIEW_LENGTH),
+  receivedAt: email.receivedAt,
+  size: email.size,
+  attachmentCount: realAttachments(email).length,
+  inlineCount: email.attachments.length - realAttachments(email).length,
+  user: email.user || null,
+  spamScore: email.spamScore ?? null,
+});
+
+const includes = (value, term) => (value || '').toLowerCase().includes(term.toLowerCase());
+
+const stripTags = (html) => html.replace(/<style[\s\S]*?<\/style>|<[^>]+>/gi, ' ');
+
+// Accept ISO dates or epoch milliseconds
+const parseDate = (value, name) => {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw createHttpError(400, `Invalid "${name}" date: ${value}`);
+  }
+  return time;
+};
+
+const encodeCursor = (email) => Buffer.from(JSON.stringify({ id: email.id, t: email.receivedAt })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { id, t } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return { id, time: Date.parse(t) };
+  } catch {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+};
+
+// Turn query-string parameters into a predicate over email records
+export const buildFilter = (query) => {
+  const checks = [];
+  const { from, to, subject, q, since, until, hasAttachments } = query;
+
+  if (from) checks.push(e => includes(e.from, from));
+  if (to) checks.push(e => includes(e.to, to) || includes(e.cc, to) || includes(e.bcc, to));
+  if (subject) checks.push(e => includes(e.subject, subject));
+
+  if (q) {
+    // Every word must appear somewhere in the message
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    checks.push(e => {
+      const haystack = [e.subject, e.from, e.to, e.cc, e.text, stripTags(e.html)].join('\n').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+
+  if (since) {
+    const time = parseDate(since, 'since');
+    checks.push(e => Date.parse(e.receivedAt) >= time);
+  }
+
+  if (until) {
+    const time = parseDate(until, 'until');
+    checks.push(e => Date.parse(e.receivedAt) <= time);
+  }
+
+  if (hasAttachments !== undefined) {
+    if (!['true', 'false'].includes(hasAttachments)) {
+      throw createHttpError(400, '"hasAttachments" must be true or false');
+    }
+    const wanted = hasAttachments === 'true';
+    checks.push(e => (realAttachments(e).length > 0) === wanted);
+  }
+
+  return (email) => checks.every(check => check(email));
+};
+
+// Apply filters and cursor pagination to a newest-first list of emails
+export const queryEmails = (emails, query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw createHttpError(400, `"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const matches = emails.filter(buildFilter(query));
+
+  let start = 0;
+  if (query.cursor) {
+    const { id, time } = decodeCursor(query.cursor);
+    const position = matches.findIndex(e => e.id === id);
+    // If the cursor email was deleted, resume at the first older one
+    start = position !== -1
+      ? position + 1
+      : matches.findIndex(e => Date.parse(e.receivedAt) < time);
+    if (start === -1) start = matches.length;
+  }
+
+  const items = matches.slice(start, start + limit);
+  const hasMore = start + limit < matches.length;
+
+  return {
+    items,
+    total: matches.length,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+};
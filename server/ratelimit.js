@@ -0,0 +1,277 @@
+// Rate limiting: fixed window, sliding window and token bucket limits,
+// scoped globally or per sender, recipient, recipient domain or SMTP user
+import { v4 as uuidv4 } from 'uuid';
+import { createHttpError } from './errors.js';
+
+export const RATE_LIMIT_ALGORITHMS = ['fixed-window', 'sliding-window', 'token-bucket'];
+export const RATE_LIMIT_SCOPES = ['global', 'sender', 'recipient', 'recipient-domain', 'user'];
+
+const WINDOW_NAMES = { 1000: 'second', 60000: 'minute', 3600000: 'hour', 86400000: 'day' };
+
+// Limiter state keyed by inbox, limit id and scope key
+const limiters = new Map();
+
+// Validate limits from PUT /api/config and fill in defaults
+export const normalizeLimits = (limits) => {
+  if (!Array.isArray(limits)) {
+    throw createHttpError(400, '"rateLimit.limits" must be an array');
+  }
+
+  return limits.map((limit, index) => {
+    const algorithm = limit.algorithm || 'fixed-window';
+    const scope = limit.scope || 'global';
+    const max = Number(limit.max);
+    const windowMs = Number(limit.windowMs ?? 1000);
+    const burst = limit.burst === undefined || limit.burst === null || limit.burst === '' ? max : Number(limit.burst);
+    const code = Number(limit.code ?? 421);
+
+    if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: algorithm must be one of ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+    }
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: scope must be one of ${RATE_LIMIT_SCOPES.join(', ')}`);
+    }
+    if (!(Number.isInteger(max) && max > 0)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: max must be a positive integer`);
+    }
+    if (!(windowMs > 0)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: windowMs must be positive`);
+    }
+    if (!(burst >= 1)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: burst must be at least 1`);
+    }
+    if (!(code >= 400 && code <= 599)) {
+      throw createHttpError(400, `Rate limit ${index + 1}: code must be a 4xx or 5xx SMTP code`);
+    }
+
+    return {
+      id: limit.id || uuidv4(),
+      name: limit.name || '',
+      algorithm,
+      scope,
+      max,
+      windowMs,
+      burst,
+      code,
+    };
+  });
+};
+
+// Validate rate limit settings from PUT /api/config, the config file or an
+// inbox override. Only the fields that are set are checked, so overrides can
+// change part of the settings.
+export const normalizeRateLimit = (rateLimit) => {
+  if (!rateLimit || typeof rateLimit !== 'object') {
+    throw createHttpError(400, '"rateLimit" must be an object');
+  }
+
+  const normalized = { ...rateLimit };
+  if (rateLimit.enabled !== undefined && typeof rateLimit.enabled !== 'boolean') {
+    throw createHttpError(400, '"rateLimit.enabled" must be true or false');
+  }
+  if (rateLimit.maxPerSecond !== undefined) {
+    const maxPerSecond = Number(rateLimit.maxPerSecond);
+    if (!(Number.isInteger(maxPerSecond) && maxPerSecond > 0)) {
+      throw createHttpError(400, '"rateLimit.maxPerSecond" must be a positive integer');
+    }
+    normalized.maxPerSecond = maxPerSecond;
+  }
+  if (rateLimit.limits !== undefined) normalized.limits = normalizeLimits(rateLimit.limits);
+  return normalized;
+};
+
+// Without explicit limits, `maxPerSecond` acts as a global one-second window
+export const effectiveLimits = (rateLimit) => {
+  if (rateLimit.limits?.length) return rateLimit.limits;
+  return [{
+    id: 'max-per-second',
+    name: '',
+    algorithm: 'fixed-window',
+    scope: 'global',
+    max: rateLimit.maxPerSecond,
+    windowMs: 1000,
+    burst: rateLimit.maxPerSecond,
+    code: 421,
+  }];
+};
+
+// Scope keys a message counts against for one limit
+const scopeKeys = (scope, { from, to, user }) => {
+  switch (scope) {
+    case 'sender':
+      return [from.toLowerCase()];
+    case 'recipient':
+      return [...new Set(to.map(address => address.toLowerCase()))];
+    case 'recipient-domain':
+      return [...new Set(to.map(address => address.split('@').pop().toLowerCase()))];
+    case 'user':
+      return [user || 'anonymous'];
+    default:
+      return ['*'];
+  }
+};
+
+// Each limiter answers: how long until one more message is allowed (0 = now),
+// and supports taking and giving back a unit
+const createLimiter = ({ algorithm, max, windowMs, burst }) => {
+  if (algorithm === 'sliding-window') {
+    let sent = [];
+    const prune = (now) => {
+      sent = sent.filter(t => t > now - windowMs);
+    };
+    return {
+      waitFor(now) {
+        prune(now);
+        return sent.length < max ? 0 : sent[0] + windowMs - now;
+      },
+      take(now) {
+        sent.push(now);
+      },
+      giveBack(now) {
+        const index = sent.lastIndexOf(now);
+        if (index !== -1) sent.splice(index, 1);
+      },
+      state(now) {
+        prune(now);
+        return { used: sent.length, remaining: max - sent.length, resetInMs: sent.length ? sent[0] + windowMs - now : 0 };
+      },
+      idle: (now) => (prune(now), sent.length === 0),
+    };
+  }
+
+  if (algorithm === 'token-bucket') {
+    // Refills `max` tokens per window, holding at most `burst`
+    let tokens = burst;
+    let updatedAt = Date.now();
+    const refill = (now) => {
+      tokens = Math.min(burst, tokens + ((now - updatedAt) * max) / windowMs);
+      updatedAt = now;
+    };
+    return {
+      waitFor(now) {
+        refill(now);
+        return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * windowMs) / max);
+      },
+      take() {
+        tokens -= 1;
+      },
+      giveBack() {
+        tokens = Math.min(burst, tokens + 1);
+      },
+      state(now) {
+        refill(now);
+        return {
+          used: Math.round((burst - tokens) * 100) / 100,
+          remaining: Math.floor(tokens),
+          resetInMs: Math.ceil(((burst - tokens) * windowMs) / max),
+        };
+      },
+      idle: (now) => (refill(now), tokens >= burst),
+    };
+  }
+
+  // Fixed windows are aligned to the clock, e.g. daily quotas reset at midnight UTC
+  let windowStart = 0;
+  let count = 0;
+  const roll = (now) => {
+    const start = Math.floor(now / windowMs) * windowMs;
+    if (start !== windowStart) {
+      windowStart = start;
+      count = 0;
+    }
+  };
+  return {
+    waitFor(now) {
+      roll(now);
+      return count < max ? 0 : windowStart + windowMs - now;
+    },
+    take(now) {
+      roll(now);
+      count++;
+    },
+    giveBack(now) {
+      roll(now);
+      count = Math.max(0, count - 1);
+    },
+    state(now) {
+      roll(now);
+      return { used: count, remaining: max - count, resetInMs: windowStart + windowMs - now };
+    },
+    idle: (now) => (roll(now), count === 0),
+  };
+};
+
+const getLimiter = (inbox, limit, key) => {
+  const id = `${inbox}\u0000${limit.id}\u0000${key}`;
+  let entry = limiters.get(id);
+  // Changing a limit's settings starts it from scratch
+  const signature = `${limit.algorithm}/${limit.max}/${limit.windowMs}/${limit.burst}`;
+  if (!entry || entry.signature !== signature) {
+    entry = { inbox, limit, key, signature, limiter: createLimiter(limit) };
+    limiters.set(id, entry);
+  }
+  entry.limit = limit;
+  return entry.limiter;
+};
+
+const describeWindow = (windowMs) => WINDOW_NAMES[windowMs] || `${windowMs}ms`;
+
+const describeScope = (scope, key) => (scope === 'global' ? '' : ` for ${scope} ${key}`);
+
+// Check every limit and, if all allow the message, count it against them.
+// Returns release() to give the units back when the message isn't stored.
+export const checkRateLimit = (inbox, rateLimit, envelope) => {
+  if (!rateLimit.enabled) return { allowed: true, release: () => {} };
+
+  const now = Date.now();
+  const targets = effectiveLimits(rateLimit).flatMap(limit =>
+    scopeKeys(limit.scope, envelope).map(key => ({ limit, key, limiter: getLimiter(inbox, limit, key) }))
+  );
+
+  for (const { limit, key, limiter } of targets) {
+    const retryAfter = limiter.waitFor(now);
+    if (retryAfter > 0) {
+      const seconds = Math.max(1, Math.ceil(retryAfter / 1000));
+      return {
+        allowed: false,
+        code: limit.code, // 421: Service not available, try again later
+        message: `${String(limit.code)[0]}.7.0 Rate limit exceeded: Maximum ${limit.max} email(s) per ${describeWindow(limit.windowMs)} allowed${describeScope(limit.scope, key)}. Please retry after ${seconds} second${seconds === 1 ? '' : 's'}.`,
+        retryAfter,
+        limitId: limit.id,
+        scopeKey: key,
+      };
+    }
+  }
+
+  targets.forEach(({ limiter }) => limiter.take(now));
+  return {
+    allowed: true,
+    release: () => targets.forEach(({ limiter }) => limiter.giveBack(now)),
+  };
+};
+
+// Current limiter state for /api/stats
+export const rateLimitState = (inbox) => {
+  const now = Date.now();
+  return [...limiters.values()]
+    .filter(entry => !inbox || entry.inbox === inbox)
+    .map(({ inbox: name, limit, key, limiter }) => ({
+      inbox: name,
+      limitId: limit.id,
+      name: limit.name,
+      algorithm: limit.algorithm,
+      scope: limit.scope,
+      key,
+      max: limit.max,
+      windowMs: limit.windowMs,
+      ...limiter.state(now),
+    }));
+};
+
+// Forget limiters with nothing to remember (e.g. one-off recipients)
+setInterval(() => {
+  const now = Date.now();
+  limiters.forEach((entry, id) => {
+    if (entry.limiter.idle(now)) limiters.delete(id);
+  });
+}, 60 * 1000).unref();
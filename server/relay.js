@@ -0,0 +1,100 @@
+// Relay ("release") captured messages to a real or secondary SMTP server
+import nodemailer from 'nodemailer';
+import { createHttpError } from './errors.js';
+
+// Added to relayed messages so a sandbox receiving them doesn't relay them again
+export const RELAY_HEADER = 'X-Sandbox-Mailer-Relay';
+
+export const DEFAULT_RELAY = {
+  host: '',
+  port: 587,
+  secure: false,
+  username: '',
+  password: '',
+  // Accept self-signed certificates, e.g. another sandbox with STARTTLS
+  allowInvalidCertificates: false,
+  // Envelope sender for relayed mail; empty keeps the original MAIL FROM
+  envelopeFrom: '',
+  // Relay new messages automatically to recipients on the allow-list
+  autoRelay: false,
+  allowList: [],
+};
+
+// Validate relay settings from PUT /api/config
+export const normalizeRelay = (relay) => {
+  const normalized = { ...DEFAULT_RELAY, ...relay };
+  const port = Number(normalized.port);
+
+  if (typeof normalized.host !== 'string') {
+    throw createHttpError(400, '"relay.host" must be a string');
+  }
+  if (!(Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw createHttpError(400, '"relay.port" must be a port number');
+  }
+  if (!Array.isArray(normalized.allowList)) {
+    throw createHttpError(400, '"relay.allowList" must be an array of addresses or domains');
+  }
+  if (normalized.autoRelay && !normalized.host) {
+    throw createHttpError(400, 'Auto-relay needs a relay host');
+  }
+
+  return {
+    host: normalized.host.trim(),
+    port,
+    secure: Boolean(normalized.secure),
+    username: String(normalized.username || ''),
+    password: String(normalized.password || ''),
+    allowInvalidCertificates: Boolean(normalized.allowInvalidCertificates),
+    envelopeFrom: String(normalized.envelopeFrom || '').trim(),
+    autoRelay: Boolean(normalized.autoRelay),
+    allowList: normalized.allowList.map(entry => String(entry).trim().toLowerCase()).filter(Boolean),
+  };
+};
+
+// "qa@shop.com" matches that address, "shop.com" the domain and "*.shop.com" any subdomain
+const allowListMatches = (address, entry) => {
+  const lower = address.toLowerCase();
+  if (entry.includes('@')) return lower === entry;
+  const domain = lower.split('@').pop();
+  if (entry.startsWith('*.')) return domain.endsWith(entry.substring(1));
+  return domain === entry;
+};
+
+// Recipients an auto-relay may deliver to
+export const allowedRecipients = (relay, recipients) => recipients
+  .filter(address => relay.allowList.some(entry => allowListMatches(address, entry)));
+
+// Whether a raw message was already relayed by a sandbox (checked in the header block only)
+export const wasRelayed = (raw) => {
+  const head = raw.toString('latin1').split(/\r?\n\r?\n/, 1)[0];
+  return new RegExp(`^${RELAY_HEADER}:`, 'im').test(head);
+};
+
+// Send the original source to the relay host. Resolves with the server's reply
+// or rejects with the SMTP error (`responseCode`/`response` when there is one).
+export const relayMessage = async (relay, raw, { from, to, emailId }) => {
+  const transport = nodemailer.createTransport({
+    host: relay.host,
+    port: relay.port,
+    secure: relay.secure,
+    auth: relay.username ? { user: relay.username, pass: relay.password } : undefined,
+    tls: { rejectUnauthorized: !relay.allowInvalidCertificates },
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000,
+  });
+
+  try {
+    const info = await transport.sendMail({
+      envelope: { from: relay.envelopeFrom || from, to },
+      raw: Buffer.concat([Buffer.from(`${RELAY_HEADER}: ${emailId}\r\n`), raw]),
+    });
+    return {
+      response: info.response,
+      accepted: info.accepted,
+      rejected: info.rejected,
+    };
+  } finally {
+    transport.close();
+  }
+};
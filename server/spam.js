@@ -0,0 +1,228 @@
+// Offline spam scoring with SpamAssassin-style rules, for catching
+// deliverability regressions before they reach real inboxes
+import { mimeTree, hasTextPart } from './mime.js';
+
+// Score at which SpamAssassin's default configuration marks mail as spam
+const SPAM_THRESHOLD = 5;
+
+const SUSPICIOUS_PHRASES = [
+  'act now', 'apply now', 'as seen on', 'buy now', 'cash bonus', 'click here', 'click below',
+  'congratulations', 'dear friend', 'double your', 'earn money', 'extra income', 'free gift',
+  'guaranteed', 'limited time', 'make money', 'no credit check', 'no obligation', 'once in a lifetime',
+  'order now', 'risk-free', 'risk free', 'special promotion', 'this is not spam', 'urgent',
+  'winner', 'you have been selected', '100% free', '$$$',
+];
+const PHRASE_SCORE = 0.5;
+const MAX_PHRASE_SCORE = 2.5;
+
+const URL_SHORTENERS = /^(bit\.ly|tinyurl\.com|goo\.gl|t\.co|ow\.ly|is\.gd|buff\.ly|rebrand\.ly|cutt\.ly)$/i;
+const PLACEHOLDER_DOMAINS = /^(example\.(com|org|net)|localhost)$|\.(test|local|localhost|invalid|example)$/i;
+
+// Message-ID: <unique@domain>
+const MESSAGE_ID = /^<[^<>@\s]+@[^<>@\s]+>$/;
+// Date: [Day, ]DD Mon YYYY HH:MM[:SS] zone
+const RFC5322_DATE = /^(\w{3},\s*)?\d{1,2}\s+\w{3}\s+\d{4}\s+\d{2}:\d{2}(:\d{2})?\s+([+-]\d{4}|[A-Z]{1,5})(\s*\(.*\))?$/;
+
+const stripTags = (html) => html
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;|&#160;/gi, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const domainOf = (address) => (address || '').match(/@([^>\s]+)>?\s*$/)?.[1]?.toLowerCase() || null;
+
+// Compare organisational domains loosely: mail.shop.com and shop.com align
+const sameOrganisation = (a, b) => {
+  const base = (domain) => domain.split('.').slice(-2).join('.');
+  return base(a) === base(b);
+};
+
+// Each rule returns false when it doesn't fire, or true / a detail string when it does
+const RULES = [
+  {
+    id: 'MISSING_FROM',
+    score: 2.0,
+    description: 'No From header',
+    test: ({ header }) => !header('from'),
+  },
+  {
+    id: 'FROM_PLACEHOLDER_DOMAIN',
+    score: 1.5,
+    description: 'From uses a placeholder or local domain that can\'t be authenticated',
+    test: ({ fromDomain }) => Boolean(fromDomain && PLACEHOLDER_DOMAINS.test(fromDomain)) && fromDomain,
+  },
+  {
+    id: 'MISSING_MID',
+    score: 1.5,
+    description: 'No Message-ID header',
+    test: ({ header }) => !header('message-id'),
+  },
+  {
+    id: 'INVALID_MSGID',
+    score: 1.0,
+    description: 'Message-ID is not in <unique@domain> form',
+    test: ({ header }) => Boolean(header('message-id')) && !MESSAGE_ID.test(header('message-id')) && header('message-id'),
+  },
+  {
+    id: 'MISSING_DATE',
+    score: 1.4,
+    description: 'No Date header',
+    test: ({ header }) => !header('date'),
+  },
+  {
+    id: 'INVALID_DATE',
+    score: 1.0,
+    description: 'Date header is not a valid RFC 5322 date',
+    test: ({ header }) => Boolean(header('date'))
+      && (!RFC5322_DATE.test(header('date')) || Number.isNaN(Date.parse(header('date'))))
+      && header('date'),
+  },
+  {
+    id: 'DATE_IN_FUTURE',
+    score: 1.0,
+    description: 'Date is more than 12 hours after the message was received',
+    test: ({ date, received }) => date !== null && date - received > 12 * 3600 * 1000,
+  },
+  {
+    id: 'DATE_IN_PAST',
+    score: 1.0,
+    description: 'Date is more than 4 days before the message was received',
+    test: ({ date, received }) => date !== null && received - date > 96 * 3600 * 1000,
+  },
+  {
+    id: 'MISSING_SUBJECT',
+    score: 1.0,
+    description: 'No Subject header',
+    test: ({ header }) => !header('subject'),
+  },
+  {
+    id: 'SUBJ_ALL_CAPS',
+    score: 1.5,
+    description: 'Subject is all capitals',
+    test: ({ email }) => {
+      const letters = (email.subject || '').replace(/[^a-z]/gi, '');
+      return letters.length >= 10 && letters === letters.toUpperCase();
+    },
+  },
+  {
+    id: 'SUBJ_EXCESS_PUNCT',
+    score: 0.5,
+    description: 'Subject has repeated ! or ? marks',
+    test: ({ email }) => /[!?]{2,}/.test(email.subject || ''),
+  },
+  {
+    id: 'SUSPICIOUS_PHRASES',
+    score: ({ phrases }) => Math.min(MAX_PHRASE_SCORE, phrases.length * PHRASE_SCORE),
+    description: 'Body or subject contains phrases common in spam',
+    test: ({ phrases }) => phrases.length > 0 && phrases.join(', '),
+  },
+  {
+    id: 'MIME_HTML_ONLY',
+    score: 1.0,
+    description: 'HTML without a plain-text alternative',
+    test: ({ email, tree }) => Boolean(email.html) && !hasTextPart(tree),
+  },
+  {
+    id: 'HTML_IMAGE_ONLY',
+    score: 1.5,
+    description: 'Mostly images with very little text (under 400 characters)',
+    test: ({ email, htmlText, imageCount }) => Boolean(email.html) && imageCount > 0 && htmlText.length < 400
+      && `${imageCount} image${imageCount === 1 ? '' : 's'}, ${htmlText.length} characters of text`,
+  },
+  {
+    id: 'MISSING_LIST_UNSUBSCRIBE',
+    score: 0.5,
+    description: 'No List-Unsubscribe header (required for bulk mail by Gmail and Yahoo)',
+    test: ({ header }) => !header('list-unsubscribe'),
+  },
+  {
+    id: 'LIST_UNSUBSCRIBE_NO_ONE_CLICK',
+    score: 0.1,
+    description: 'List-Unsubscribe without List-Unsubscribe-Post one-click support (RFC 8058)',
+    test: ({ header }) => Boolean(header('list-unsubscribe')) && !header('list-unsubscribe-post'),
+  },
+  {
+    id: 'REPLYTO_DOMAIN_MISMATCH',
+    score: 0.5,
+    description: 'Reply-To domain differs from the From domain',
+    test: ({ fromDomain, header }) => {
+      const replyDomain = domainOf(header('reply-to'));
+      return Boolean(fromDomain && replyDomain && !sameOrganisation(fromDomain, replyDomain))
+        && `${replyDomain} vs ${fromDomain}`;
+    },
+  },
+  {
+    id: 'RETURN_PATH_MISMATCH',
+    score: 1.0,
+    description: 'Return-Path (envelope sender) domain differs from the From domain, so SPF won\'t align for DMARC',
+    test: ({ fromDomain, returnPath }) => {
+      const bounceDomain = domainOf(returnPath);
+      return Boolean(fromDomain && bounceDomain && !sameOrganisation(fromDomain, bounceDomain))
+        && `${bounceDomain} vs ${fromDomain}`;
+    },
+  },
+  {
+    id: 'URI_SHORTENER',
+    score: 0.5,
+    description: 'Links use a URL shortener',
+    test: ({ hosts }) => hosts.filter(host => URL_SHORTENERS.test(host)).join(', ') || false,
+  },
+  {
+    id: 'URI_NUMERIC_IP',
+    score: 1.0,
+    description: 'Links point to a numeric IP address',
+    test: ({ hosts }) => hosts.filter(host => /^\d+\.\d+\.\d+\.\d+$/.test(host)).join(', ') || false,
+  },
+];
+
+// Everything the rules look at, worked out once
+const buildContext = (email, raw) => {
+  const tree = mimeTree(raw || Buffer.alloc(0));
+  const header = (name) => tree.headers.find(h => h.name.toLowerCase() === name)?.value || '';
+  const htmlText = email.html ? stripTags(email.html) : '';
+  const haystack = `${email.subject || ''}\n${email.text || ''}\n${htmlText}`.toLowerCase();
+  const links = [...`${email.html || ''} ${email.text || ''}`.matchAll(/https?:\/\/([^/\s"'<>:?#]+)/gi)];
+  const dateValue = Date.parse(header('date'));
+
+  return {
+    email,
+    tree,
+    header,
+    htmlText,
+    imageCount: (email.html?.match(/<img\b/gi) || []).length,
+    phrases: SUSPICIOUS_PHRASES.filter(phrase => haystack.includes(phrase)),
+    hosts: [...new Set(links.map(m => m[1].toLowerCase()))],
+    fromDomain: domainOf(header('from')),
+    returnPath: header('return-path') || email.envelope?.from || '',
+    date: Number.isNaN(dateValue) ? null : dateValue,
+    received: Date.parse(email.receivedAt),
+  };
+};
+
+// Score a message; `rules` lists only the rules that fired
+export const scoreEmail = (email, raw) => {
+  const context = buildContext(email, raw);
+  const rules = [];
+
+  RULES.forEach(rule => {
+    const result = rule.test(context);
+    if (!result) return;
+    const score = typeof rule.score === 'function' ? rule.score(context) : rule.score;
+    rules.push({
+      id: rule.id,
+      score,
+      description: rule.description,
+      detail: typeof result === 'string' ? result : null,
+    });
+  });
+
+  const score = Math.round(rules.reduce((sum, rule) => sum + rule.score, 0) * 10) / 10;
+  return {
+    score,
+    threshold: SPAM_THRESHOLD,
+    spam: score >= SPAM_THRESHOLD,
+    rules: rules.sort((a, b) => b.score - a.score),
+    checked: RULES.length,
+  };
+};
@@ -0,0 +1,316 @@
+import fs from 'fs';
+import path from 'path';
+import { createHttpError } from './errors.js';
+import { writeFileAtomic } from './files.js';
+
+// Default retention: 0 disables a limit
+export const DEFAULT_RETENTION = {
+  maxCount: 100,
+  maxAgeHours: 0,
+  maxTotalMb: 0,
+};
+
+const MAX_ERRORS = 50;
+
+// Changes to the disk index within this window are written together
+const SAVE_DELAY_MS = 250;
+
+// Validate retention settings from PUT /api/config or the config file
+export const normalizeRetention = (retention) => {
+  const normalized = { ...DEFAULT_RETENTION, ...retention };
+  Object.keys(DEFAULT_RETENTION).forEach(name => {
+    const value = Number(normalized[name]);
+    if (!(Number.isFinite(value) && value >= 0) || (name === 'maxCount' && !Number.isInteger(value))) {
+      throw createHttpError(400, `"retention.${name}" must be a non-negative ${name === 'maxCount' ? 'integer' : 'number'} (0 for no limit)`);
+    }
+    normalized[name] = value;
+  });
+  return normalized;
+};
+
+// Pick the emails that fall outside the retention policy (oldest first)
+const selectEvictions = (emails, bytes, retention) => {
+  const { maxCount, maxAgeHours, maxTotalMb } = { ...DEFAULT_RETENTION, ...retention };
+  const evicted = new Set();
+
+  if (maxAgeHours > 0) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    emails.forEach(e => {
+      if (new Date(e.receivedAt).getTime() < cutoff) evicted.add(e.id);
+    });
+  }
+
+  let kept = emails.filter(e => !evicted.has(e.id));
+
+  if (maxCount > 0) {
+    kept.slice(maxCount).forEach(e => evicted.add(e.id));
+    kept = kept.slice(0, maxCount);
+  }
+
+  if (maxTotalMb > 0) {
+    const maxBytes = maxTotalMb * 1024 * 1024;
+    let total = kept.reduce((sum, e) => sum + (bytes[e.id] || 0), 0);
+    // Always keep the newest message, even if it alone exceeds the limit
+    for (let i = kept.length - 1; i > 0 && total > maxBytes; i--) {
+      evicted.add(kept[i].id);
+      total -= bytes[kept[i].id] || 0;
+    }
+  }
+
+  return [...evicted];
+};
+
+// In-memory backend: everything is lost on restart
+export const createMemoryStore = ({ retention = () => DEFAULT_RETENTION } = {}) => {
+  const emails = [];
+  const errors = [];
+  const raws = new Map();
+  const contents = new Map();
+  const bytes = {};
+
+  const remove = (id) => {
+    const index = emails.findIndex(e => e.id === id);
+    if (index === -1) return false;
+    emails.splice(index, 1);
+    raws.delete(id);
+    contents.delete(id);
+    delete bytes[id];
+    return true;
+  };
+
+  const prune = () => {
+    const evicted = selectEvictions(emails, bytes, retention());
+    evicted.forEach(remove);
+    return evicted;
+  };
+
+  return {
+    driver: 'memory',
+
+    listEmails: () => emails,
+
+    getEmail: (id) => emails.find(e => e.id === id),
+
+    addEmail(email, { raw, attachments = [] }) {
+      emails.unshift(email);
+      raws.set(email.id, raw);
+      contents.set(email.id, new Map(attachments.map(a => [a.id, a.content])));
+      bytes[email.id] = raw.length + attachments.reduce((sum, a) => sum + a.content.length, 0);
+      return prune();
+    },
+
+    // Merge fields into a stored record, e.g. relay results added after delivery
+    updateEmail(id, changes) {
+      const email = emails.find(e => e.id === id);
+      if (email) Object.assign(email, changes);
+      return email || null;
+    },
+
+    deleteEmail: remove,
+
+    // Remove all emails, or only those matching a predicate
+    clearEmails(predicate = () => true) {
+      const ids = emails.filter(predicate).map(e => e.id);
+      ids.forEach(remove);
+      return ids;
+    },
+
+    getRaw: (id) => raws.get(id) || null,
+
+    getAttachmentContent: (emailId, attachmentId) => contents.get(emailId)?.get(attachmentId) || null,
+
+    listErrors: () => errors,
+
+    addError(error) {
+      errors.unshift(error);
+      if (errors.length > MAX_ERRORS) errors.pop();
+    },
+
+    // Merge fields into an error record, e.g. the SMTP transcript once the session replied
+    updateError(id, changes) {
+      const error = errors.find(e => e.id === id);
+      if (error) Object.assign(error, changes);
+      return error || null;
+    },
+
+    clearErrors(predicate = () => true) {
+      const remaining = errors.filter(e => !predicate(e));
+      errors.length = 0;
+      errors.push(...remaining);
+    },
+
+    prune,
+
+    flush: () => {},
+  };
+};
+
+// On-disk backend: raw .eml files, attachment files and a JSON index
+//
+//   <dir>/index.json
+//   <dir>/messages/<emailId>.eml
+//   <dir>/attachments/<emailId>/<attachmentId>
+export const createDiskStore = ({ dir, retention = () => DEFAULT_RETENTION }) => {
+  const indexFile = path.join(dir, 'index.json');
+  const messagesDir = path.join(dir, 'messages');
+  const attachmentsDir = path.join(dir, 'attachments');
+
+  fs.mkdirSync(messagesDir, { recursive: true });
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+
+  let index = { emails: [], errors: [], bytes: {} };
+  if (fs.existsSync(indexFile)) {
+    try {
+      index = { ...index, ...JSON.parse(fs.readFileSync(indexFile, 'utf8')) };
+    } catch (err) {
+      console.error(`⚠️  Could not read ${indexFile}, starting with an empty mailbox:`, err.message);
+    }
+  }
+
+  const { emails, errors, bytes } = index;
+
+  // The index is rewritten whole, so changes are batched into one write per
+  // SAVE_DELAY_MS instead of one per message, error or transcript
+  let saveTimer = null;
+
+  const flush = () => {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      writeFileAtomic(indexFile, JSON.stringify(index));
+    } catch (err) {
+      console.error(`⚠️  Could not write ${indexFile}:`, err.message);
+    }
+  };
+
+  const save = () => {
+    if (!saveTimer) saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  };
+
+  const rawPath = (id) => path.join(messagesDir, `${id}.eml`);
+  const attachmentDir = (id) => path.join(attachmentsDir, id);
+
+  const removeFiles = (id) => {
+    fs.rmSync(rawPath(id), { force: true });
+    fs.rmSync(attachmentDir(id), { recursive: true, force: true });
+  };
+
+  const remove = (id) => {
+    const position = emails.findIndex(e => e.id === id);
+    if (position === -1) return false;
+    emails.splice(position, 1);
+    delete bytes[id];
+    removeFiles(id);
+    return true;
+  };
+
+  const prune = () => {
+    const evicted = selectEvictions(emails, bytes, retention());
+    evicted.forEach(remove);
+    if (evicted.length > 0) save();
+    return evicted;
+  };
+
+  return {
+    driver: 'disk',
+    dir,
+
+    listEmails: () => emails,
+
+    getEmail: (id) => emails.find(e => e.id === id),
+
+    addEmail(email, { raw, attachments = [] }) {
+      fs.writeFileSync(rawPath(email.id), raw);
+      if (attachments.length > 0) {
+        fs.mkdirSync(attachmentDir(email.id), { recursive: true });
+        attachments.forEach(a => {
+          fs.writeFileSync(path.join(attachmentDir(email.id), a.id), a.content);
+        });
+      }
+
+      emails.unshift(email);
+      bytes[email.id] = raw.length + attachments.reduce((sum, a) => sum + a.content.length, 0);
+      const evicted = prune();
+      save();
+      return evicted;
+    },
+
+    // Merge fields into a stored record, e.g. relay results added after delivery
+    updateEmail(id, changes) {
+      const email = emails.find(e => e.id === id);
+      if (!email) return null;
+      Object.assign(email, changes);
+      save();
+      return email;
+    },
+
+    deleteEmail(id) {
+      const removed = remove(id);
+      if (removed) save();
+      return removed;
+    },
+
+    // Remove all emails, or only those matching a predicate
+    clearEmails(predicate = () => true) {
+      const ids = emails.filter(predicate).map(e => e.id);
+      ids.forEach(remove);
+      save();
+      return ids;
+    },
+
+    getRaw(id) {
+      if (!emails.some(e => e.id === id)) return null;
+      try {
+        return fs.readFileSync(rawPath(id));
+      } catch {
+        return null;
+      }
+    },
+
+    getAttachmentContent(emailId, attachmentId) {
+      const email = emails.find(e => e.id === emailId);
+      if (!email?.attachments.some(a => a.id === attachmentId)) return null;
+      try {
+        return fs.readFileSync(path.join(attachmentDir(emailId), attachmentId));
+      } catch {
+        return null;
+      }
+    },
+
+    listErrors: () => errors,
+
+    addError(error) {
+      errors.unshift(error);
+      if (errors.length > MAX_ERRORS) errors.pop();
+      save();
+    },
+
+    // Merge fields into an error record, e.g. the SMTP transcript once the session replied
+    updateError(id, changes) {
+      const error = errors.find(e => e.id === id);
+      if (!error) return null;
+      Object.assign(error, changes);
+      save();
+      return error;
+    },
+
+    clearErrors(predicate = () => true) {
+      const remaining = errors.filter(e => !predicate(e));
+      errors.length = 0;
+      errors.push(...remaining);
+      save();
+    },
+
+    prune,
+
+    // Write pending index changes now, e.g. before the process exits
+    flush,
+  };
+};
+
+export const createStore = ({ driver = 'disk', ...options }) => {
+  if (driver === 'memory') return createMemoryStore(options);
+  if (driver === 'disk') return createDiskStore(options);
+  throw new Error(`Unknown storage driver "${driver}" (expected "disk" or "memory")`);
+};
@@ -0,0 +1,79 @@
+// TLS certificates for STARTTLS and implicit TLS (SMTPS)
+import fs from 'fs';
+import path from 'path';
+import selfsigned from 'selfsigned';
+
+const CERT_VALIDITY_YEARS = 10;
+
+// Create a certificate for localhost that clients can accept with verify_peer off
+const generateCertificate = async () => {
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(notBeforeDate);
+  notAfterDate.setFullYear(notAfterDate.getFullYear() + CERT_VALIDITY_YEARS);
+
+  const pems = await selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+    keySize: 2048,
+    algorithm: 'sha256',
+    notBeforeDate,
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' },
+        ],
+      },
+    ],
+  });
+
+  return { key: pems.private, cert: pems.cert };
+};
+
+// Use the provided cert/key files, or a self-signed pair kept in `dir`
+// (generated on first run so clients only have to trust it once)
+export const loadTlsCredentials = async ({ certFile, keyFile, dir }) => {
+  if (certFile || keyFile) {
+    if (!certFile || !keyFile) {
+      throw new Error('Both a TLS certificate and a key file are required');
+    }
+    return {
+      cert: fs.readFileSync(certFile),
+      key: fs.readFileSync(keyFile),
+      source: certFile,
+    };
+  }
+
+  const generatedCert = path.join(dir, 'cert.pem');
+  const generatedKey = path.join(dir, 'key.pem');
+
+  if (!fs.existsSync(generatedCert) || !fs.existsSync(generatedKey)) {
+    console.log(`🔐 Generating self-signed TLS certificate in ${dir}`);
+    const { key, cert } = await generateCertificate();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(generatedKey, key, { mode: 0o600 });
+    fs.writeFileSync(generatedCert, cert);
+  }
+
+  return {
+    cert: fs.readFileSync(generatedCert),
+    key: fs.readFileSync(generatedKey),
+    source: generatedCert,
+  };
+};
+
+// What to record on each email about the connection it arrived on
+// (null for plaintext; `implicit` is SMTPS rather than STARTTLS)
+export const describeTls = (session, { implicit }) => {
+  if (!session.secure) return null;
+  const { name, standardName, version } = session.tlsOptions || {};
+  return {
+    cipher: standardName || name || null,
+    protocol: version || null,
+    implicit,
+  };
+};
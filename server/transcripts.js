@@ -0,0 +1,157 @@
+// SMTP session transcripts: every command and reply with its timing, plus notes
+// from the sandbox (latency, rate limits, faults), captured through the
+// smtp-server logger and handed to the email or error record once the client
+// has been given its final reply
+
+// Lines kept per connection; later ones are counted but dropped
+const MAX_LOG_LINES = 1000;
+
+// Commands that mark a step on the timeline
+const COMMAND_STAGES = {
+  EHLO: 'ehlo',
+  HELO: 'ehlo',
+  LHLO: 'ehlo',
+  STARTTLS: 'starttls',
+  AUTH: 'auth',
+  MAIL: 'mail',
+  RCPT: 'rcpt',
+  DATA: 'data',
+};
+
+// Open connections keyed by smtp-server session id
+const sessions = new Map();
+
+const append = (state, entry) => {
+  if (state.log.length >= MAX_LOG_LINES) {
+    state.dropped++;
+    return;
+  }
+  state.log.push({ ms: Date.now() - state.startedAt, ...entry });
+};
+
+// The connection preamble (greeting, EHLO, AUTH) plus the current transaction
+const snapshot = (state, response) => {
+  const log = state.transactionStart === null
+    ? [...state.log]
+    : [...state.log.slice(0, state.preambleEnd), ...state.log.slice(state.transactionStart)];
+
+  return {
+    sessionId: state.id,
+    remoteAddress: state.remoteAddress,
+    clientName: state.clientName,
+    user: state.user,
+    secure: state.secure,
+    startedAt: new Date(state.startedAt).toISOString(),
+    durationMs: Date.now() - state.startedAt,
+    response,
+    log,
+    timeline: log.filter(entry => entry.stage).map(({ ms, stage, text }) => ({ ms, stage, text })),
+    droppedLines: state.dropped,
+  };
+};
+
+// Hand the transcript to everything waiting for this transaction's final reply
+const flush = (state, response) => {
+  const waiting = state.pending.splice(0);
+  if (!waiting.length) return;
+  const transcript = snapshot(state, response);
+  waiting.forEach(finish => finish(transcript));
+};
+
+const recordCommand = (state, command, line) => {
+  // Lines after AUTH carry credentials until the server stops prompting (334)
+  if (state.inAuth) {
+    append(state, { type: 'client', text: '*** (credentials hidden)' });
+    return;
+  }
+  state.lastCommand = command;
+  if (command === 'AUTH') {
+    const [, mechanism = '', initial] = line.split(' ');
+    append(state, { type: 'client', text: `AUTH ${mechanism}${initial ? ' ***' : ''}`, stage: 'auth' });
+    state.inAuth = true;
+    return;
+  }
+  if (command === 'MAIL') {
+    if (state.preambleEnd === null) state.preambleEnd = state.log.length;
+    state.transactionStart = state.log.length;
+  }
+  if (COMMAND_STAGES[command] === 'ehlo') {
+    state.clientName = line.split(' ')[1] || null;
+  }
+  append(state, { type: 'client', text: line, stage: COMMAND_STAGES[command] });
+};
+
+const recordReply = (state, line) => {
+  const code = Number(line.slice(0, 3));
+  if (state.inAuth && code !== 334) state.inAuth = false;
+
+  // 334 (AUTH prompts) and 354 (go ahead with DATA) aren't final replies
+  const final = state.pending.length && code !== 334 && code !== 354;
+  append(state, { type: 'server', text: line, ...(final && { stage: 'response' }) });
+  if (final) flush(state, { code, message: line });
+};
+
+// bunyan-style logger for the smtp-server `logger` option. DATA sizes are noted
+// by onData instead, since smtp-server only logs them after the reply.
+const log = (entry, message, ...args) => {
+  const state = sessions.get(entry.cid);
+  if (!state) return;
+  if (entry.user) state.user = entry.user;
+
+  if (entry.tnx === 'command') {
+    recordCommand(state, entry.command, String(args[0] || ''));
+  } else if (entry.tnx === 'send') {
+    recordReply(state, String(args[0] || ''));
+  }
+};
+
+export const smtpLogger = Object.fromEntries(
+  ['trace', 'debug', 'info', 'warn', 'error', 'fatal'].map(level => [level, log]),
+);
+
+// Start recording a connection (from onConnect)
+export const openSession = (session, { secure }) => {
+  const state = {
+    id: session.id,
+    remoteAddress: session.remoteAddress,
+    clientName: null,
+    user: null,
+    secure,
+    startedAt: Date.now(),
+    log: [],
+    dropped: 0,
+    // Where the first and the current MAIL FROM start in the log
+    preambleEnd: null,
+    transactionStart: null,
+    inAuth: false,
+    lastCommand: null,
+    pending: [],
+  };
+  sessions.set(session.id, state);
+  append(state, { type: 'note', text: `Connection from ${session.remoteAddress}${secure ? ' (SMTPS)' : ''}`, stage: 'connect' });
+};
+
+// Add a sandbox event (latency, rate limit, fault, stored, ...) to the log
+export const noteSession = (session, stage, text) => {
+  const state = sessions.get(session.id);
+  if (state) append(state, { type: 'note', text, stage });
+};
+
+// The command the server is currently answering, e.g. to delay EHLO replies
+export const lastCommand = (session) => sessions.get(session.id)?.lastCommand || null;
+
+// Call `finish(transcript)` once the client gets the final reply for the
+// current transaction, or when the connection closes without one
+export const onTranscript = (session, finish) => {
+  const state = sessions.get(session.id);
+  if (state) state.pending.push(finish);
+};
+
+// Stop recording (from onClose); dropped and stalled transactions end here
+export const closeSession = (session) => {
+  const state = sessions.get(session.id);
+  if (!state) return;
+  append(state, { type: 'note', text: 'Connection closed', stage: 'close' });
+  flush(state, null);
+  sessions.delete(session.id);
+};
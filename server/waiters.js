@@ -0,0 +1,30 @@
+// Pending long-poll requests waiting for a matching email
+const waiters = new Set();
+
+// Resolve with the first new email matching the predicate, or null on timeout.
+// The returned cancel() stops waiting (e.g. when the client disconnects).
+export const waitForEmail = (predicate, timeoutMs) => {
+  let waiter;
+
+  const promise = new Promise(resolve => {
+    waiter = {
+      predicate,
+      resolve: (email) => {
+        clearTimeout(waiter.timer);
+        waiters.delete(waiter);
+        resolve(email);
+      },
+    };
+    waiter.timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+    waiters.add(waiter);
+  });
+
+  return { promise, cancel: () => waiter.resolve(null) };
+};
+
+// Called for every stored email
+export const notifyWaiters = (email) => {
+  waiters.forEach(waiter => {
+    if (waiter.predicate(email)) waiter.resolve(email);
+  });
+};
@@ -0,0 +1,152 @@
+// Outbound webhooks: signed JSON POSTs for stored emails and recorded errors,
+// retried with exponential backoff, with a per-webhook delivery history
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createHttpError } from './errors.js';
+
+// email.received:     a message was stored (data is the email summary)
+// error.rate_limit:   a message was rejected by a rate limit (data is the error record)
+// error.server_error: storing a message failed (data is the error record)
+export const WEBHOOK_EVENTS = ['email.received', 'error.rate_limit', 'error.server_error'];
+
+export const SIGNATURE_HEADER = 'X-Sandbox-Signature';
+
+// Attempt n waits BACKOFF_MS * 2^(n-2) after the previous one: 1s, 2s, 4s, 8s
+const MAX_ATTEMPTS = 5;
+const BACKOFF_MS = 1000;
+const TIMEOUT_MS = 10000;
+// Deliveries kept per webhook, newest first
+const MAX_HISTORY = 50;
+
+// Delivery history keyed by webhook id
+const history = new Map();
+
+// Validate one webhook from POST /api/webhooks or the config file and fill in defaults
+export const normalizeWebhook = (hook, index = 0) => {
+  const label = `Webhook ${index + 1}`;
+  let url;
+  try {
+    url = new URL(hook.url);
+  } catch {
+    throw createHttpError(400, `${label}: url must be an absolute http(s) URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError(400, `${label}: url must be an absolute http(s) URL`);
+  }
+
+  const events = hook.events || WEBHOOK_EVENTS;
+  if (!Array.isArray(events) || !events.length) {
+    throw createHttpError(400, `${label}: events must be a non-empty array`);
+  }
+  const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) {
+    throw createHttpError(400, `${label}: unknown event "${unknown}" (expected ${WEBHOOK_EVENTS.join(', ')})`);
+  }
+
+  return {
+    id: hook.id || uuidv4(),
+    url: url.toString(),
+    events: [...new Set(events)],
+    // Only fire for one inbox; empty means all inboxes
+    inbox: hook.inbox || '',
+    // Generated when not given, so every delivery can be verified
+    secret: hook.secret ? String(hook.secret) : crypto.randomBytes(24).toString('hex'),
+    enabled: hook.enabled !== false,
+  };
+};
+
+export const normalizeWebhooks = (hooks) => {
+  if (!Array.isArray(hooks)) {
+    throw createHttpError(400, '"webhooks" must be an array');
+  }
+  return hooks.map(normalizeWebhook);
+};
+
+// Stripe-style signature over "<timestamp>.<body>", so receivers can reject replays
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const remember = (delivery) => {
+  const list = history.get(delivery.webhookId) || [];
+  list.unshift(delivery);
+  if (list.length > MAX_HISTORY) list.pop();
+  history.set(delivery.webhookId, list);
+};
+
+const attempt = async (hook, delivery, body) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const record = { timestamp: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+  delivery.attempts.push(record);
+
+  try {
+    const response = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sandbox-mailer-webhooks',
+        'X-Sandbox-Event': delivery.event,
+        'X-Sandbox-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(hook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    record.status = response.status;
+    if (!response.ok) record.error = `HTTP ${response.status}`;
+  } catch (err) {
+    record.error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : (err.cause?.message || err.message);
+  }
+  record.durationMs = Date.now() - started;
+
+  if (!record.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length < MAX_ATTEMPTS) {
+    const delay = BACKOFF_MS * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    // Stop retrying once the webhook has been deleted
+    setTimeout(() => {
+      if (history.get(delivery.webhookId)?.includes(delivery)) attempt(hook, delivery, body);
+    }, delay).unref();
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  }
+};
+
+// Queue a delivery of `event` to one webhook
+const deliver = (hook, event, { inbox, data }) => {
+  const delivery = {
+    id: uuidv4(),
+    webhookId: hook.id,
+    event,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    attempts: [],
+    payload: { id: null, event, timestamp: new Date().toISOString(), inbox, data },
+  };
+  delivery.payload.id = delivery.id;
+  remember(delivery);
+  attempt(hook, delivery, JSON.stringify(delivery.payload));
+  return delivery;
+};
+
+// Send an event to every enabled webhook subscribed to it
+export const dispatchWebhooks = (hooks, event, { inbox = null, data }) => {
+  hooks
+    .filter(hook => hook.enabled && hook.events.includes(event) && (!hook.inbox || hook.inbox === inbox))
+    .forEach(hook => deliver(hook, event, { inbox, data }));
+};
+
+// Send a "ping" to one webhook regardless of its events, e.g. to check the URL and secret
+export const pingWebhook = (hook) => deliver(hook, 'ping', { inbox: null, data: { webhookId: hook.id } });
+
+export const listDeliveries = (webhookId) => history.get(webhookId) || [];
+
+export const forgetDeliveries = (webhookId) => {
+  history.delete(webhookId);
+};